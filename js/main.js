@@ -4,13 +4,30 @@
  * 
  * Features:
  * - Mobile navigation with focus trap
- * - Dark mode toggle with localStorage persistence
+ * - Shared accessible dialog (focus trap, inert background, scroll lock)
+ * - Light / dark / system theme with localStorage persistence and tab sync
  * - Intersection Observer for scroll animations
- * - Skill meter animations on scroll
- * - Animated statistics counter
+ * - Data-driven proficiency rings and skill meters, animated on scroll
+ * - Skills explorer (sort, matrix view, links to the projects using each skill)
+ * - Animated statistics counters (prefix/suffix, decimals, locale-aware)
+ * - Project catalog rendered from data/projects.json
+ * - Filterable, searchable project grid with shareable URLs
  * - Project modal with accessible focus management
- * - Form validation
+ * - Declarative form validation with accessible inline errors
+ * - Pluggable contact form submission transports
+ * - Contact form spam protection (honeypot, time-trap, rate limit)
+ * - Contact form draft autosave with expiry
  * - Smooth scroll with reduced motion support
+ * - Single rAF-coalesced scroll/resize scheduler for scroll effects
+ * - Live reduced-motion preference (OS setting or in-page toggle)
+ * - Scripted, interactive hero terminal with simulated live metrics
+ * - Scroll spy highlighting the current section in the nav
+ * - Command palette (Ctrl/Cmd+K) for sections, projects and actions
+ * - Résumé export (print/PDF, JSON Resume, plain text) built from the pages
+ * - Service worker registration with an "updated — reload" prompt
+ * - Translatable UI strings (data/i18n/*.json) with a language switcher
+ * - Consent-gated, batched analytics events with pluggable sinks
+ * - Isolated component start-up, error reporting and Web Vitals
  * 
  * Architecture: IIFE pattern to avoid global namespace pollution
  */
@@ -31,23 +48,118 @@
     // IntersectionObserver thresholds
     OBSERVER_THRESHOLD: 0.2,
     
+    // Skill levels, lowest to highest (text of .skill-item__level)
+    SKILL_LEVELS: ['Intermediate', 'Advanced', 'Expert'],
+    
+    // Stat counters (overridable per element with data-duration)
+    COUNTER_DURATION: 2000,
+    
     // Local storage keys
     STORAGE_THEME: 'portfolio-theme',
+    STORAGE_CONTACT_LOG: 'portfolio-contact-log',
+    STORAGE_CONTACT_DRAFT: 'portfolio-contact-draft-v1',
+    STORAGE_COMMAND_RECENT: 'portfolio-command-recent',
+    STORAGE_REDUCE_MOTION: 'portfolio-reduce-motion',
+    STORAGE_LOCALE: 'portfolio-locale',
+    STORAGE_ANALYTICS_CONSENT: 'portfolio-analytics-consent',
+    STORAGE_DIAGNOSTICS: 'portfolio-diagnostics',
+    
+    // Theme toggle order ("system" follows prefers-color-scheme)
+    THEME_CYCLE: ['light', 'dark', 'system'],
+    
+    // Data files (relative to the site root)
+    PROJECTS_MANIFEST: 'data/projects.json',
+    TERMINAL_SCRIPT: 'data/terminal.json',
+    
+    // Pages the résumé is read from
+    RESUME_SOURCES: { home: 'index.html', about: 'about.html' },
+    I18N_PATH: 'data/i18n',
+    
+    // Languages in the switcher, each named in itself. English is the
+    // fallback for keys a dictionary leaves out.
+    LOCALES: { en: 'English', hi: 'हिन्दी' },
+    DEFAULT_LOCALE: 'en',
+    
+    // Contact form fetch transport (overridable per form via data-* attributes)
+    CONTACT_TIMEOUT: 10000,
+    CONTACT_RETRIES: 2,
+    CONTACT_RETRY_DELAY: 1000,
+    STATUS_HIDE_DELAY: 5000,
+    
+    // Contact form spam protection
+    SPAM_MIN_FILL_TIME: 3000,
+    SPAM_MAX_LINKS: 2,
+    SPAM_RATE_LIMIT: 3,
+    SPAM_RATE_WINDOW: 60 * 60 * 1000,
+    SPAM_DUPLICATE_WINDOW: 24 * 60 * 60 * 1000,
+    
+    // Contact form drafts
+    DRAFT_SAVE_DELAY: 500,
+    DRAFT_MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+    
+    // Hero terminal playback and metrics simulator
+    TERMINAL_TYPE_DELAY: 55,
+    TERMINAL_LINE_DELAY: 350,
+    TERMINAL_SESSION_PAUSE: 4000,
+    TERMINAL_MAX_LINES: 10,
+    TERMINAL_SCROLLBACK: 100,
+    TERMINAL_METRICS_INTERVAL: 1500,
+    TERMINAL_METRIC_VOLATILITY: 12,
+    
+    // Command palette and toasts
+    COMMAND_RECENT_LIMIT: 5,
+    // Group ids, in display order (names are palette.groups.<id> in the dictionaries)
+    COMMAND_GROUPS: ['sections', 'projects', 'caseStudies', 'actions'],
+    TOAST_DURATION: 3000,
+    
+    // Service worker (relative to the site root, which is also its scope)
+    SERVICE_WORKER: 'sw.js',
+    
+    // Client-side page transitions: hover time before a link's page is
+    // prefetched, and how long scrolling must pause before the position is
+    // saved (ms). Safari throws after ~100 history.replaceState calls in
+    // 30 s, so keep saves at least a second apart.
+    ROUTER_PREFETCH_DELAY: 80,
+    ROUTER_SCROLL_SAVE_DELAY: 1000,
+    
+    // Analytics: where batches go outside development (a key of
+    // ANALYTICS_SINKS). "beacon" needs an endpoint; without one nothing is
+    // collected and no consent banner is shown.
+    ANALYTICS_SINK: 'beacon',
+    ANALYTICS_ENDPOINT: '',
+    ANALYTICS_BATCH_SIZE: 10,
+    ANALYTICS_FLUSH_INTERVAL: 10000,
+    
+    // Diagnostics: error reports and Web Vitals from a sample of page views
+    // (rates are 0-1). Diagnostics mode logs every page view to the console.
+    DIAGNOSTICS_ENDPOINT: '',
+    DIAGNOSTICS_ERROR_SAMPLE_RATE: 1,
+    DIAGNOSTICS_VITALS_SAMPLE_RATE: 0.1,
+    DIAGNOSTICS_MAX_ERRORS: 10,
     
     // Selectors
     SELECTORS: {
       nav: '.nav',
+      main: '#main-content',
+      footer: '.footer',
       navToggle: '.nav__toggle',
       navMenu: '.nav__menu',
       navLinks: '.nav__link',
       themeToggle: '.theme-toggle',
-      skillBars: '.skill-item__fill',
-      statNumbers: '.stat-card__number',
+      motionToggle: '.motion-toggle',
+      langSwitcher: '.lang-switcher',
+      skillMeters: '.proficiency-ring[data-value], .skill-item__bar[data-value]',
+      skillsGrid: '.skills__detailed',
+      statNumbers: '.stat-card__number, .hero__stat-number, .stat-mini__number',
       projectCards: '.project-card',
+      projectsGrid: '.projects__grid',
+      quickView: '[data-quick-view]',
+      projectFilters: '.project-filters',
       modal: '#project-modal',
       modalClose: '[data-close-modal]',
       contactForm: '.contact__form',
-      formStatus: '.form-status'
+      formStatus: '.form-status',
+      focusable: 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
     }
   };
   
@@ -71,12 +183,16 @@
    */
   const $$ = (selector, context = document) => context.querySelectorAll(selector);
   
+  const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+  
   /**
-   * Check if user prefers reduced motion
+   * Check if user prefers reduced motion, either in the OS or with the
+   * in-page toggle (reflected as data-motion="reduce" on <html>).
+   * Read it when motion is about to happen, not once at init.
    * @returns {boolean}
    */
   const prefersReducedMotion = () => {
-    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return document.documentElement.getAttribute('data-motion') === 'reduce' || reducedMotionQuery.matches;
   };
   
   /**
@@ -97,6 +213,168 @@
     };
   };
   
+  /**
+   * Escape a string for safe interpolation into HTML templates
+   * @param {string} value - Untrusted text
+   * @returns {string}
+   */
+  const escapeHTML = (value) => {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  };
+  
+  // URL of this script, captured while it executes (currentScript is null later)
+  const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+  
+  /**
+   * Resolve a path relative to the site root. main.js lives in /js/, so
+   * its own URL works from index.html, about.html and projects/*.html alike.
+   * @param {string} path - Path relative to the site root
+   * @returns {string}
+   */
+  const siteURL = (path) => new URL(`../${path}`, SCRIPT_URL).href;
+  
+  /**
+   * localStorage that never throws. Storage can be blocked (Safari private
+   * mode, third-party frames) or full; settings then last for the page view.
+   */
+  const storage = {
+    /**
+     * @param {string} key
+     * @returns {string|null} The stored value, or null if unset or unreadable
+     */
+    get(key) {
+      try {
+        return localStorage.getItem(key);
+      } catch (error) {
+        return null;
+      }
+    },
+    
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @returns {boolean} Whether the value was saved
+     */
+    set(key, value) {
+      try {
+        localStorage.setItem(key, value);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    
+    /**
+     * @param {string} key
+     */
+    remove(key) {
+      try {
+        localStorage.removeItem(key);
+      } catch (error) {
+        // Nothing could have been saved either
+      }
+    }
+  };
+  
+  // Served by a local dev server (console logging, no service worker)
+  const IS_DEVELOPMENT = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+  
+  /**
+   * Space to leave above a scroll target so the fixed nav doesn't cover it
+   * @returns {number}
+   */
+  const getNavOffset = () => {
+    const nav = $(CONFIG.SELECTORS.nav);
+    return (nav ? nav.offsetHeight : 0) + 20;
+  };
+  
+  /**
+   * Scroll an element into view below the fixed nav and move focus to it
+   * @param {Element} target - Element to reveal
+   */
+  const scrollToElement = (target) => {
+    window.scrollTo({
+      top: target.getBoundingClientRect().top + window.scrollY - getNavOffset(),
+      behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+    });
+    
+    // Focus target for accessibility (without a second, instant scroll)
+    target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  };
+  
+  let toastTimer = null;
+  
+  /**
+   * Show a short message in a shared, polite live region
+   * @param {string} message - Text to show and announce
+   * @param {Object} [options]
+   * @param {{label: string, onClick: function()}} [options.action] - Adds a
+   *   button; the toast then stays until it's used
+   */
+  const showToast = (message, options = {}) => {
+    let toast = $('.toast');
+    
+    if (!toast) {
+      toast = document.createElement('div');
+      toast.className = 'toast';
+      toast.setAttribute('role', 'status');
+      document.body.appendChild(toast);
+    }
+    
+    toast.textContent = message;
+    toast.classList.toggle('toast--action', Boolean(options.action));
+    toast.classList.add('toast--visible');
+    clearTimeout(toastTimer);
+    
+    if (options.action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'toast__action';
+      button.textContent = options.action.label;
+      button.addEventListener('click', () => {
+        toast.classList.remove('toast--visible', 'toast--action');
+        options.action.onClick();
+      });
+      toast.appendChild(button);
+      return;
+    }
+    
+    toastTimer = setTimeout(() => toast.classList.remove('toast--visible'), CONFIG.TOAST_DURATION);
+  };
+  
+  /**
+   * Seeded pseudo-random number generator (mulberry32)
+   * @param {number} seed - Any 32-bit integer
+   * @returns {function(): number} Returns floats in [0, 1)
+   */
+  const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+  
+  /**
+   * Easing curves, keyed by the names accepted in data-easing attributes
+   * @type {Object<string, function(number): number>}
+   */
+  const EASINGS = {
+    linear: t => t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+  };
+  
   /**
    * Linear interpolation for smooth animations
    * @param {number} start - Start value
@@ -109,770 +387,5148 @@
   };
   
   /* ==========================================
-     MOBILE NAVIGATION
+     SCROLL SCHEDULER
      ========================================== */
-  class MobileNav {
-    constructor() {
-      this.nav = $(CONFIG.SELECTORS.nav);
-      this.toggle = $(CONFIG.SELECTORS.navToggle);
-      this.menu = $(CONFIG.SELECTORS.navMenu);
-      this.links = $$(CONFIG.SELECTORS.navLinks);
-      this.isOpen = false;
-      
-      if (!this.toggle || !this.menu) return;
-      
-      this.init();
+  
+  // Callbacks run at most once per frame after scroll or resize
+  const scrollSubscribers = new Set();
+  let scrollFrame = null;
+  
+  const readViewport = () => ({
+    scrollY: window.scrollY,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight
+  });
+  
+  const flushScroll = () => {
+    scrollFrame = null;
+    const viewport = readViewport();
+    scrollSubscribers.forEach(callback => callback(viewport));
+  };
+  
+  const scheduleScroll = () => {
+    if (scrollFrame === null) {
+      scrollFrame = requestAnimationFrame(flushScroll);
     }
-    
-    init() {
-      // Toggle button click
-      this.toggle.addEventListener('click', () => this.toggleMenu());
-      
-      // Close menu when clicking nav links
-      this.links.forEach(link => {
-        link.addEventListener('click', () => {
-          if (window.innerWidth <= 768) {
-            this.closeMenu();
-          }
-        });
-      });
-      
-      // Close menu on escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen) {
-          this.closeMenu();
-          this.toggle.focus();
-        }
-      });
-      
-      // Close menu when clicking outside
-      document.addEventListener('click', (e) => {
-        if (this.isOpen && 
-            !this.menu.contains(e.target) && 
-            !this.toggle.contains(e.target)) {
-          this.closeMenu();
-        }
-      });
-      
-      // Handle resize
-      window.addEventListener('resize', debounce(() => {
-        if (window.innerWidth > 768 && this.isOpen) {
-          this.closeMenu();
-        }
-      }, 250));
+  };
+  
+  /**
+   * Run a callback on scroll and resize, coalesced to one call per frame.
+   * The page has a single pair of passive listeners, attached while anyone
+   * is subscribed.
+   * @param {function({scrollY: number, viewportWidth: number, viewportHeight: number})} callback
+   * @param {Object} options
+   * @param {boolean} options.immediate - Also call it right away with the current viewport
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeScroll = (callback, { immediate = false } = {}) => {
+    if (scrollSubscribers.size === 0) {
+      window.addEventListener('scroll', scheduleScroll, { passive: true });
+      window.addEventListener('resize', scheduleScroll, { passive: true });
     }
     
-    toggleMenu() {
-      this.isOpen ? this.closeMenu() : this.openMenu();
-    }
+    scrollSubscribers.add(callback);
+    if (immediate) callback(readViewport());
     
-    openMenu() {
-      this.isOpen = true;
-      this.menu.classList.add('active');
-      this.toggle.setAttribute('aria-expanded', 'true');
-      document.body.style.overflow = 'hidden';
+    return () => {
+      scrollSubscribers.delete(callback);
       
-      // Focus trap
-      this.trapFocus();
-    }
-    
-    closeMenu() {
-      this.isOpen = false;
-      this.menu.classList.remove('active');
-      this.toggle.setAttribute('aria-expanded', 'false');
-      document.body.style.overflow = '';
-    }
+      if (scrollSubscribers.size === 0) {
+        window.removeEventListener('scroll', scheduleScroll);
+        window.removeEventListener('resize', scheduleScroll);
+        cancelAnimationFrame(scrollFrame);
+        scrollFrame = null;
+      }
+    };
+  };
+  
+  /* ==========================================
+     MOTION PREFERENCES
+     ========================================== */
+  
+  const motionSubscribers = new Set();
+  let motionReduced = prefersReducedMotion();
+  
+  // Tell subscribers when the effective preference actually flips
+  const notifyMotion = () => {
+    const reduced = prefersReducedMotion();
+    if (reduced === motionReduced) return;
     
-    trapFocus() {
-      // Get all focusable elements in menu
-      const focusable = this.menu.querySelectorAll(
-        'a[href], button:not([disabled])'
-      );
-      const firstFocusable = focusable[0];
-      const lastFocusable = focusable[focusable.length - 1];
-      
-      // Focus first element
-      firstFocusable.focus();
-      
-      // Trap focus within menu
-      const handleTab = (e) => {
-        if (e.key !== 'Tab') return;
-        
-        if (e.shiftKey) {
-          if (document.activeElement === firstFocusable) {
-            e.preventDefault();
-            lastFocusable.focus();
-          }
-        } else {
-          if (document.activeElement === lastFocusable) {
-            e.preventDefault();
-            firstFocusable.focus();
-          }
-        }
-      };
-      
-      this.menu.addEventListener('keydown', handleTab);
-    }
-  }
+    motionReduced = reduced;
+    motionSubscribers.forEach(callback => callback(reduced));
+  };
+  
+  /**
+   * Follow the reduced-motion preference (OS setting or in-page toggle)
+   * @param {function(boolean)} callback - Receives true when motion should be reduced
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeMotion = (callback) => {
+    motionSubscribers.add(callback);
+    return () => motionSubscribers.delete(callback);
+  };
+  
+  reducedMotionQuery.addEventListener('change', notifyMotion);
   
   /* ==========================================
-     THEME TOGGLE (DARK/LIGHT MODE)
+     I18N
      ========================================== */
-  class ThemeManager {
-    constructor() {
-      this.toggle = $(CONFIG.SELECTORS.themeToggle);
-      this.currentTheme = this.getStoredTheme() || this.getPreferredTheme();
-      
-      if (!this.toggle) return;
-      
-      this.init();
-    }
+  
+  // Dictionaries loaded so far, by locale
+  const dictionaries = {};
+  let currentLocale = CONFIG.DEFAULT_LOCALE;
+  const localeSubscribers = new Set();
+  // Text built in script before the first setLocale() settles has no
+  // messages, so that one is announced even without a change
+  let localeApplied = false;
+  // Only the latest setLocale() call is applied
+  let localeRequest = 0;
+  
+  /**
+   * The visitor's saved language, if any
+   * @returns {string|null}
+   */
+  const getStoredLocale = () => storage.get(CONFIG.STORAGE_LOCALE);
+  
+  /**
+   * Fetch a locale's dictionary (data/i18n/<locale>.json) once
+   * @param {string} locale - Key of CONFIG.LOCALES
+   * @returns {Promise<Object>}
+   */
+  const loadDictionary = (locale) => {
+    if (dictionaries[locale]) return Promise.resolve(dictionaries[locale]);
     
-    init() {
-      // Apply initial theme
-      this.applyTheme(this.currentTheme);
-      
-      // Toggle button click
-      this.toggle.addEventListener('click', () => this.switchTheme());
-      
-      // Listen for system theme changes
-      window.matchMedia('(prefers-color-scheme: dark)')
-        .addEventListener('change', (e) => {
-          if (!this.getStoredTheme()) {
-            this.applyTheme(e.matches ? 'dark' : 'light');
-          }
-        });
-    }
+    return fetch(siteURL(`${CONFIG.I18N_PATH}/${locale}.json`))
+      .then(response => {
+        if (!response.ok) throw new Error(`Dictionary request failed (${response.status})`);
+        return response.json();
+      })
+      .then(dictionary => {
+        dictionaries[locale] = dictionary;
+        return dictionary;
+      });
+  };
+  
+  const lookupMessage = (locale, key) => key.split('.')
+    .reduce((node, part) => (node == null ? undefined : node[part]), dictionaries[locale]);
+  
+  /**
+   * Format a number for the current language
+   * @param {number} value
+   * @param {Object} [options] - Intl.NumberFormat options
+   * @returns {string}
+   */
+  const formatNumber = (value, options) => new Intl.NumberFormat(currentLocale, options).format(value);
+  
+  /**
+   * Translate a key, falling back to English
+   * @param {string} key - Dotted path into the dictionary, e.g. "contact.sent"
+   * @param {Object} [vars] - Values for {placeholders}; numbers are formatted
+   *   for the language, and "count" picks the form of plural messages
+   *   ({"one": "...", "other": "..."})
+   * @returns {string|undefined} Undefined if no loaded dictionary has the key
+   */
+  const findMessage = (key, vars = {}) => {
+    let locale = currentLocale;
+    let message = lookupMessage(locale, key);
     
-    getPreferredTheme() {
-      return window.matchMedia('(prefers-color-scheme: dark)').matches 
-        ? 'dark' 
-        : 'light';
+    if (message === undefined && locale !== CONFIG.DEFAULT_LOCALE) {
+      locale = CONFIG.DEFAULT_LOCALE;
+      message = lookupMessage(locale, key);
     }
+    if (message === undefined) return undefined;
     
-    getStoredTheme() {
-      return localStorage.getItem(CONFIG.STORAGE_THEME);
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(locale).select(Number(vars.count));
+      message = message[form] !== undefined ? message[form] : message.other;
     }
     
-    applyTheme(theme) {
-      document.documentElement.setAttribute('data-theme', theme);
-      this.currentTheme = theme;
-      localStorage.setItem(CONFIG.STORAGE_THEME, theme);
-      
-      // Update aria-label
-      const label = theme === 'dark' ? 'Switch to light mode' : 'Switch to dark mode';
-      this.toggle.setAttribute('aria-label', label);
+    return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = vars[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  };
+  
+  /**
+   * Translate a key for text built in script. A key no dictionary has
+   * (or all of them failing to load) comes back as the key itself.
+   * Markup bound with data-i18n, setText() or setTranslatedAttribute()
+   * keeps its English instead.
+   * @param {string} key - Dotted path into the dictionary, e.g. "contact.sent"
+   * @param {Object} [vars] - See findMessage()
+   * @returns {string}
+   */
+  const t = (key, vars) => {
+    const message = findMessage(key, vars);
+    return message === undefined ? key : message;
+  };
+  
+  const getVars = (el) => (el.dataset.i18nVars ? JSON.parse(el.dataset.i18nVars) : {});
+  
+  const setVars = (el, vars) => {
+    if (vars) {
+      el.dataset.i18nVars = JSON.stringify(vars);
+    } else {
+      delete el.dataset.i18nVars;
     }
+  };
+  
+  // Without a message the markup's English stays (never the raw key)
+  const setMessage = (el, message, attribute) => {
+    if (message === undefined) return;
     
-    switchTheme() {
-      const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-      this.applyTheme(newTheme);
+    if (attribute) {
+      el.setAttribute(attribute, message);
+    } else {
+      el.textContent = message;
     }
-  }
+  };
   
-  /* ==========================================
-     INTERSECTION OBSERVER FOR ANIMATIONS
-     ========================================== */
-  class ScrollAnimations {
-    constructor() {
-      this.animatedElements = $$('[data-animate]');
-      this.init();
-    }
+  // data-i18n-attr="aria-label:nav.menu;title:nav.menu" -> [['aria-label', 'nav.menu'], ...]
+  const getAttributeBindings = (el) => (el.dataset.i18nAttr || '')
+    .split(';')
+    .filter(Boolean)
+    .map(binding => binding.split(':').map(part => part.trim()));
+  
+  /**
+   * Fill in every translated text (data-i18n="key") and attribute
+   * (data-i18n-attr="attr:key;...") under root, with the element's
+   * data-i18n-vars (JSON) as placeholder values. Keys without a message
+   * leave the text or attribute as it is.
+   * @param {Element|Document} [root]
+   */
+  const translate = (root = document) => {
+    const elements = $$('[data-i18n], [data-i18n-attr]', root);
+    const all = root.matches && root.matches('[data-i18n], [data-i18n-attr]') ? [root, ...elements] : elements;
     
-    init() {
-      if (!('IntersectionObserver' in window)) {
-        // Fallback: show all elements immediately
-        this.animatedElements.forEach(el => el.classList.add('animated'));
-        return;
-      }
+    all.forEach(el => {
+      const vars = getVars(el);
+      if (el.dataset.i18n) setMessage(el, findMessage(el.dataset.i18n, vars));
+      getAttributeBindings(el).forEach(([name, key]) => setMessage(el, findMessage(key, vars), name));
+    });
+  };
+  
+  /**
+   * Set an element's text from a key, and keep it translated
+   * @param {Element} el
+   * @param {string} key
+   * @param {Object} [vars] - Placeholder values
+   */
+  const setText = (el, key, vars) => {
+    el.dataset.i18n = key;
+    setVars(el, vars);
+    setMessage(el, findMessage(key, vars));
+  };
+  
+  /**
+   * Set an attribute from a key, and keep it translated
+   * @param {Element} el
+   * @param {string} name - Attribute name
+   * @param {string} key
+   * @param {Object} [vars] - Placeholder values
+   */
+  const setTranslatedAttribute = (el, name, key, vars) => {
+    const bindings = getAttributeBindings(el).filter(([attr]) => attr !== name);
+    el.dataset.i18nAttr = [...bindings, [name, key]].map(binding => binding.join(':')).join(';');
+    if (vars) setVars(el, vars);
+    setMessage(el, findMessage(key, vars), name);
+  };
+  
+  /**
+   * Switch the page's language: load the dictionary, update <html lang>,
+   * translate bound elements and tell subscribers (always the first time,
+   * as components start before the dictionaries arrive). Unknown locales
+   * and dictionaries that fail to load fall back to English.
+   * @param {string} locale - Key of CONFIG.LOCALES
+   * @returns {Promise<string>} The locale now in use
+   */
+  const setLocale = (locale) => {
+    const wanted = CONFIG.LOCALES[locale] ? locale : CONFIG.DEFAULT_LOCALE;
+    
+    const fallback = loadDictionary(CONFIG.DEFAULT_LOCALE)
+      .catch(error => console.warn('English strings unavailable:', error));
+    const chosen = wanted === CONFIG.DEFAULT_LOCALE
+      ? fallback.then(() => wanted)
+      : loadDictionary(wanted).then(() => wanted, () => CONFIG.DEFAULT_LOCALE);
+    
+    const request = ++localeRequest;
+    
+    return Promise.all([fallback, chosen]).then(([, active]) => {
+      // Overtaken by a later switch
+      if (request !== localeRequest) return currentLocale;
       
-      const options = {
-        threshold: CONFIG.OBSERVER_THRESHOLD,
-        rootMargin: '0px 0px -50px 0px'
-      };
+      const changed = active !== currentLocale || !localeApplied;
       
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
+      localeApplied = true;
+      currentLocale = active;
+      document.documentElement.lang = active;
+      translate();
+      
+      if (changed) localeSubscribers.forEach(callback => callback(active));
+      return active;
+    });
+  };
+  
+  /**
+   * Follow language changes, for text that can't be bound with setText()
+   * (dates, rebuilt lists)
+   * @param {function(string)} callback - Receives the new locale
+   * @returns {Function} Unsubscribe
+   */
+  const subscribeLocale = (callback) => {
+    localeSubscribers.add(callback);
+    return () => localeSubscribers.delete(callback);
+  };
+  
+  /* ==========================================
+     ANALYTICS EVENTS
+     ========================================== */
+  
+  /**
+   * Report an interaction to whoever listens for "analytics:event" (the
+   * Analytics component, which drops it without consent). Properties must
+   * not identify the visitor: slugs, hosts and outcomes, never form input.
+   * @param {string} name - Event name, e.g. "project_open"
+   * @param {Object<string, string>} [properties] - Details of the event
+   */
+  const track = (name, properties = {}) => {
+    document.dispatchEvent(new CustomEvent('analytics:event', {
+      detail: { name, properties }
+    }));
+  };
+  
+  /* ==========================================
+     PAGE LIFECYCLE
+     ========================================== */
+  
+  // Replaced each time the router swaps in another page (see PageRouter)
+  let pageController = new AbortController();
+  
+  /**
+   * Signal that aborts when the router leaves the current page. Page
+   * components pass it to document/window listeners (and check it after
+   * async work) so they don't outlive their markup.
+   * @returns {AbortSignal}
+   */
+  const pageSignal = () => pageController.signal;
+  
+  /**
+   * Run a cleanup (an unsubscribe, clearInterval, ...) when the router
+   * leaves the current page
+   * @param {Function} cleanup
+   */
+  const onPageLeave = (cleanup) => {
+    pageController.signal.addEventListener('abort', () => cleanup(), { once: true });
+  };
+  
+  // Tear down the current page's components
+  const leavePage = () => {
+    pageController.abort();
+    pageController = new AbortController();
+  };
+  
+  /**
+   * Go to a page on the site: through the router when it's running (it
+   * cancels "page:visit"), otherwise with a normal navigation
+   * @param {string} url - Absolute URL
+   */
+  const visit = (url) => {
+    const event = new CustomEvent('page:visit', { detail: { url }, cancelable: true });
+    if (document.dispatchEvent(event)) window.location.href = url;
+  };
+  
+  /* ==========================================
+     DIALOG (FOCUS TRAP, INERT, SCROLL LOCK)
+     ========================================== */
+  
+  // Open dialogs, bottom to top. Only the topmost one is interactive.
+  const dialogStack = [];
+  
+  // Elements we made inert, so we never touch inert set by anyone else
+  const inertedByDialogs = new Set();
+  
+  /**
+   * Make everything outside the topmost dialog inert: the siblings of the
+   * dialog and of each of its ancestors up to <body>.
+   */
+  const updateInertBackground = () => {
+    inertedByDialogs.forEach(el => el.removeAttribute('inert'));
+    inertedByDialogs.clear();
+    
+    const top = dialogStack[dialogStack.length - 1];
+    if (!top) return;
+    
+    for (let node = top.element; node && node !== document.body; node = node.parentElement) {
+      if (!node.parentElement) break;
+      
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling === node || sibling.hasAttribute('inert') || /^(SCRIPT|STYLE|LINK)$/.test(sibling.tagName)) return;
+        sibling.setAttribute('inert', '');
+        inertedByDialogs.add(sibling);
+      });
+    }
+  };
+  
+  /**
+   * Stop the page scrolling under an open dialog. The scrollbar's width is
+   * exposed as --scroll-lock-gap and padded back so nothing shifts sideways.
+   */
+  const lockScroll = () => {
+    const root = document.documentElement;
+    const gap = window.innerWidth - root.clientWidth;
+    
+    root.style.setProperty('--scroll-lock-gap', `${Math.max(gap, 0)}px`);
+    root.setAttribute('data-scroll-locked', '');
+  };
+  
+  const unlockScroll = () => {
+    const root = document.documentElement;
+    root.removeAttribute('data-scroll-locked');
+    root.style.removeProperty('--scroll-lock-gap');
+  };
+  
+  // One listener for the whole stack so Escape only closes the topmost dialog
+  const handleDialogEscape = (e) => {
+    const top = dialogStack[dialogStack.length - 1];
+    if (e.key !== 'Escape' || !top) return;
+    
+    e.preventDefault();
+    top.onEscape();
+  };
+  
+  /**
+   * Accessible dialog behavior shared by every overlay: traps Tab inside
+   * the element, makes the rest of the page inert, locks scroll, stacks
+   * nested dialogs and returns focus to whatever opened it.
+   */
+  class Dialog {
+    /**
+     * @param {Element} element - Dialog root (focus is trapped inside it)
+     * @param {Object} options
+     * @param {Element|Function} options.initialFocus - Element (or getter) to focus on open
+     * @param {Function} options.onEscape - Escape handler (default: close)
+     * @param {boolean} options.toggleHidden - Show/hide with the hidden attribute (default: true)
+     */
+    constructor(element, { initialFocus = null, onEscape = null, toggleHidden = true } = {}) {
+      this.element = element;
+      this.initialFocus = initialFocus;
+      this.onEscape = onEscape || (() => this.close());
+      this.toggleHidden = toggleHidden;
+      this.previousFocus = null;
+      this.handleTab = this.handleTab.bind(this);
+    }
+    
+    isOpen() {
+      return dialogStack.includes(this);
+    }
+    
+    isTopmost() {
+      return dialogStack[dialogStack.length - 1] === this;
+    }
+    
+    open() {
+      if (this.isOpen()) return;
+      
+      this.previousFocus = document.activeElement;
+      
+      if (!dialogStack.length) {
+        lockScroll();
+        document.addEventListener('keydown', handleDialogEscape);
+      }
+      
+      dialogStack.push(this);
+      updateInertBackground();
+      
+      if (this.toggleHidden) this.element.hidden = false;
+      this.element.addEventListener('keydown', this.handleTab);
+      
+      const target = typeof this.initialFocus === 'function' ? this.initialFocus() : this.initialFocus;
+      (target || this.getFocusable()[0] || this.element).focus();
+    }
+    
+    close() {
+      if (!this.isOpen()) return;
+      
+      // Dialogs opened on top of this one go first
+      while (!this.isTopmost()) {
+        dialogStack[dialogStack.length - 1].close();
+      }
+      
+      dialogStack.pop();
+      updateInertBackground();
+      
+      if (!dialogStack.length) {
+        unlockScroll();
+        document.removeEventListener('keydown', handleDialogEscape);
+      }
+      
+      if (this.toggleHidden) this.element.hidden = true;
+      this.element.removeEventListener('keydown', this.handleTab);
+      
+      if (this.previousFocus && this.previousFocus !== document.body && document.contains(this.previousFocus)) {
+        this.previousFocus.focus();
+      } else if (this.element.contains(document.activeElement)) {
+        // Nothing to go back to: don't leave focus inside a hidden dialog
+        document.activeElement.blur();
+      }
+      
+      this.previousFocus = null;
+    }
+    
+    /**
+     * Focusable elements currently inside the dialog
+     * @returns {Array<Element>}
+     */
+    getFocusable() {
+      return Array.from($$(CONFIG.SELECTORS.focusable, this.element))
+        .filter(el => !el.closest('[hidden], [inert]'));
+    }
+    
+    handleTab(e) {
+      if (e.key !== 'Tab') return;
+      
+      // Looked up on every Tab so content rendered after opening is included
+      const focusable = this.getFocusable();
+      if (!focusable.length) {
+        e.preventDefault();
+        return;
+      }
+      
+      const firstFocusable = focusable[0];
+      const lastFocusable = focusable[focusable.length - 1];
+      
+      if (e.shiftKey) {
+        if (document.activeElement === firstFocusable || !this.element.contains(document.activeElement)) {
+          e.preventDefault();
+          lastFocusable.focus();
+        }
+      } else {
+        if (document.activeElement === lastFocusable) {
+          e.preventDefault();
+          firstFocusable.focus();
+        }
+      }
+    }
+  }
+  
+  /* ==========================================
+     MOBILE NAVIGATION
+     ========================================== */
+  class MobileNav {
+    constructor() {
+      this.nav = $(CONFIG.SELECTORS.nav);
+      this.toggle = $(CONFIG.SELECTORS.navToggle);
+      this.menu = $(CONFIG.SELECTORS.navMenu);
+      this.links = $$(CONFIG.SELECTORS.navLinks);
+      this.isOpen = false;
+      
+      if (!this.toggle || !this.menu) return;
+      
+      // The whole nav is the dialog so the toggle stays usable while open
+      this.dialog = new Dialog(this.nav, {
+        initialFocus: () => $('a[href], button:not([disabled])', this.menu),
+        onEscape: () => this.closeMenu(),
+        toggleHidden: false
+      });
+      
+      this.init();
+    }
+    
+    init() {
+      // Toggle button click
+      this.toggle.addEventListener('click', () => this.toggleMenu());
+      
+      // Close menu when clicking nav links
+      this.links.forEach(link => {
+        link.addEventListener('click', () => {
+          if (window.innerWidth <= 768) {
+            this.closeMenu();
+          }
+        });
+      });
+      
+      // Close menu when clicking outside
+      document.addEventListener('click', (e) => {
+        if (this.isOpen && 
+            !this.menu.contains(e.target) && 
+            !this.toggle.contains(e.target)) {
+          this.closeMenu();
+        }
+      });
+      
+      // Handle resize
+      window.addEventListener('resize', debounce(() => {
+        if (window.innerWidth > 768 && this.isOpen) {
+          this.closeMenu();
+        }
+      }, 250));
+    }
+    
+    toggleMenu() {
+      this.isOpen ? this.closeMenu() : this.openMenu();
+    }
+    
+    openMenu() {
+      this.isOpen = true;
+      this.menu.classList.add('active');
+      this.toggle.setAttribute('aria-expanded', 'true');
+      
+      // Trap focus, lock scroll, make the page behind inert
+      this.dialog.open();
+    }
+    
+    closeMenu() {
+      this.isOpen = false;
+      this.menu.classList.remove('active');
+      this.toggle.setAttribute('aria-expanded', 'false');
+      
+      // Returns focus to the toggle
+      this.dialog.close();
+    }
+  }
+  
+  /* ==========================================
+     THEME TOGGLE (LIGHT/DARK/SYSTEM)
+     ========================================== */
+  class ThemeManager {
+    constructor() {
+      this.toggle = $(CONFIG.SELECTORS.themeToggle);
+      this.preference = this.getStoredPreference();
+      this.currentTheme = this.resolveTheme(this.preference);
+      
+      if (!this.toggle) return;
+      
+      this.init();
+    }
+    
+    init() {
+      // Apply initial theme (the inline boot script already set it before paint)
+      this.applyTheme();
+      
+      // Toggle button click
+      this.toggle.addEventListener('click', () => this.switchTheme());
+      
+      // Listen for system theme changes
+      window.matchMedia('(prefers-color-scheme: dark)')
+        .addEventListener('change', () => {
+          if (this.preference === 'system') {
+            this.applyTheme();
+          }
+        });
+      
+      // Other components (e.g. the hero terminal) can ask for a theme
+      document.addEventListener('theme:set', (e) => {
+        if (CONFIG.THEME_CYCLE.includes(e.detail.preference)) {
+          this.setPreference(e.detail.preference);
+        }
+      });
+      
+      // Follow changes made in other open tabs
+      window.addEventListener('storage', (e) => {
+        if (e.key !== CONFIG.STORAGE_THEME && e.key !== null) return;
+        this.preference = this.getStoredPreference();
+        this.applyTheme();
+      });
+    }
+    
+    getPreferredTheme() {
+      return window.matchMedia('(prefers-color-scheme: dark)').matches 
+        ? 'dark' 
+        : 'light';
+    }
+    
+    /**
+     * Saved preference: 'light', 'dark' or 'system' (nothing saved)
+     * @returns {string}
+     */
+    getStoredPreference() {
+      const stored = storage.get(CONFIG.STORAGE_THEME);
+      return CONFIG.THEME_CYCLE.includes(stored) ? stored : 'system';
+    }
+    
+    resolveTheme(preference) {
+      return preference === 'system' ? this.getPreferredTheme() : preference;
+    }
+    
+    /**
+     * Set and persist a preference. "system" clears the stored value so the
+     * OS setting is followed again.
+     * @param {string} preference - 'light', 'dark' or 'system'
+     */
+    setPreference(preference) {
+      this.preference = preference;
+      
+      if (preference === 'system') {
+        storage.remove(CONFIG.STORAGE_THEME);
+      } else {
+        storage.set(CONFIG.STORAGE_THEME, preference);
+      }
+      
+      this.applyTheme();
+    }
+    
+    applyTheme() {
+      const root = document.documentElement;
+      this.currentTheme = this.resolveTheme(this.preference);
+      
+      root.setAttribute('data-theme', this.currentTheme);
+      root.setAttribute('data-theme-preference', this.preference);
+      
+      // Update aria-label to describe what the next click does
+      const key = `theme.${this.getNextPreference()}`;
+      setTranslatedAttribute(this.toggle, 'aria-label', key);
+      setTranslatedAttribute(this.toggle, 'title', key);
+    }
+    
+    getNextPreference() {
+      const index = CONFIG.THEME_CYCLE.indexOf(this.preference);
+      return CONFIG.THEME_CYCLE[(index + 1) % CONFIG.THEME_CYCLE.length];
+    }
+    
+    switchTheme() {
+      const preference = this.getNextPreference();
+      this.setPreference(preference);
+      track('theme_change', { theme: preference });
+    }
+  }
+  
+  /* ==========================================
+     REDUCE MOTION TOGGLE
+     ========================================== */
+  class MotionPreferences {
+    constructor() {
+      this.toggle = $(CONFIG.SELECTORS.motionToggle);
+      this.init();
+    }
+    
+    init() {
+      // The inline boot script already applied the saved choice before paint
+      this.apply(this.getStoredPreference());
+      
+      if (this.toggle) {
+        this.toggle.addEventListener('click', () => {
+          // From the page, not storage, which may not have kept the last choice
+          this.setPreference(document.documentElement.getAttribute('data-motion') !== 'reduce');
+        });
+      }
+      
+      // Follow changes made in other open tabs
+      window.addEventListener('storage', (e) => {
+        if (e.key !== CONFIG.STORAGE_REDUCE_MOTION && e.key !== null) return;
+        this.apply(this.getStoredPreference());
+      });
+    }
+    
+    /**
+     * Whether the visitor turned on "reduce motion" on this site. Off means
+     * the OS setting decides.
+     * @returns {boolean}
+     */
+    getStoredPreference() {
+      return storage.get(CONFIG.STORAGE_REDUCE_MOTION) === 'true';
+    }
+    
+    setPreference(reduce) {
+      if (reduce) {
+        storage.set(CONFIG.STORAGE_REDUCE_MOTION, 'true');
+      } else {
+        storage.remove(CONFIG.STORAGE_REDUCE_MOTION);
+      }
+      
+      this.apply(reduce);
+    }
+    
+    apply(reduce) {
+      const root = document.documentElement;
+      
+      if (reduce) {
+        root.setAttribute('data-motion', 'reduce');
+      } else {
+        root.removeAttribute('data-motion');
+      }
+      
+      if (this.toggle) {
+        this.toggle.setAttribute('aria-pressed', String(reduce));
+      }
+      
+      notifyMotion();
+    }
+  }
+  
+  /* ==========================================
+     LANGUAGE SWITCHER
+     ========================================== */
+  class LanguageSwitcher {
+    constructor() {
+      this.select = $(CONFIG.SELECTORS.langSwitcher);
+      this.init();
+    }
+    
+    init() {
+      if (this.select && Object.keys(CONFIG.LOCALES).length > 1) {
+        this.select.innerHTML = Object.entries(CONFIG.LOCALES)
+          .map(([code, name]) => `<option value="${code}" lang="${code}">${escapeHTML(name)}</option>`)
+          .join('');
+        this.select.value = currentLocale;
+        this.select.closest('.nav__item').hidden = false;
+        
+        this.select.addEventListener('change', () => this.setPreference(this.select.value));
+      }
+      
+      // The saved language is usually applied after init, once its dictionary loads
+      subscribeLocale(active => {
+        if (this.select) this.select.value = active;
+      });
+      
+      // Follow changes made in other open tabs
+      window.addEventListener('storage', (e) => {
+        if (e.key !== CONFIG.STORAGE_LOCALE && e.key !== null) return;
+        this.apply(getStoredLocale());
+      });
+    }
+    
+    setPreference(locale) {
+      if (locale === CONFIG.DEFAULT_LOCALE) {
+        storage.remove(CONFIG.STORAGE_LOCALE);
+      } else {
+        storage.set(CONFIG.STORAGE_LOCALE, locale);
+      }
+      
+      this.apply(locale);
+    }
+    
+    apply(locale) {
+      setLocale(locale).then(active => {
+        if (this.select) this.select.value = active;
+      });
+    }
+  }
+  
+  /* ==========================================
+     INTERSECTION OBSERVER FOR ANIMATIONS
+     ========================================== */
+  class ScrollAnimations {
+    constructor() {
+      this.animatedElements = $$('[data-animate]');
+      this.init();
+    }
+    
+    init() {
+      if (!('IntersectionObserver' in window)) {
+        // Fallback: show all elements immediately
+        this.animatedElements.forEach(el => el.classList.add('animated'));
+        return;
+      }
+      
+      const options = {
+        threshold: CONFIG.OBSERVER_THRESHOLD,
+        rootMargin: '0px 0px -50px 0px'
+      };
+      
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
             entry.target.classList.add('animated');
             
             // Unobserve after animation (performance)
             observer.unobserve(entry.target);
           }
         });
-      }, options);
+      }, options);
+      
+      this.animatedElements.forEach(el => observer.observe(el));
+      onPageLeave(() => observer.disconnect());
+    }
+  }
+  
+  /* ==========================================
+     SKILL METERS (PROFICIENCY RINGS & BARS)
+     ========================================== */
+  
+  /**
+   * Proficiency rings and skill bars drawn from a single data-value
+   * (with optional data-min/data-max, default 0-100). The same number sets
+   * the arc/fill, the visible percentage and the meter's ARIA values.
+   */
+  class SkillMeters {
+    constructor() {
+      this.meters = $$(CONFIG.SELECTORS.skillMeters);
+      this.animated = new Set();
+      this.init();
+    }
+    
+    init() {
+      this.meters.forEach(meter => this.describe(meter));
+      
+      if (!('IntersectionObserver' in window) || prefersReducedMotion()) {
+        // Fallback: show all meters immediately
+        this.meters.forEach(meter => this.fill(meter));
+        return;
+      }
+      
+      const options = {
+        threshold: 0.5,
+        rootMargin: '0px'
+      };
+      
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting && !this.animated.has(entry.target)) {
+            this.animateMeter(entry.target);
+            this.animated.add(entry.target);
+            observer.unobserve(entry.target);
+          }
+        });
+      }, options);
+      
+      this.meters.forEach(meter => observer.observe(meter));
+      onPageLeave(() => observer.disconnect());
+    }
+    
+    /**
+     * @param {Element} meter - Ring or bar with data-value
+     * @returns {{value: number, min: number, max: number, percent: number}}
+     */
+    getValue(meter) {
+      const min = parseFloat(meter.dataset.min) || 0;
+      const max = parseFloat(meter.dataset.max) || 100;
+      const value = Math.min(Math.max(parseFloat(meter.dataset.value) || 0, min), max);
+      const percent = max > min ? ((value - min) / (max - min)) * 100 : 0;
+      
+      return { value, min, max, percent: Math.round(percent * 10) / 10 };
+    }
+    
+    // Meter semantics and visible text, set up front so they never lag the drawing
+    describe(meter) {
+      const { value, min, max, percent } = this.getValue(meter);
+      const label = $('.proficiency-ring__label', meter) ||
+        $('.skill-item__name', meter.closest('.skill-item') || meter);
+      
+      meter.setAttribute('role', 'meter');
+      meter.setAttribute('aria-valuemin', min);
+      meter.setAttribute('aria-valuemax', max);
+      meter.setAttribute('aria-valuenow', value);
+      meter.setAttribute('aria-valuetext', `${percent}%`);
+      if (label) meter.setAttribute('aria-label', label.textContent.trim());
+      
+      const percentText = $('.proficiency-ring__percent', meter);
+      if (percentText) percentText.textContent = `${percent}%`;
+    }
+    
+    // Draw the arc (pathLength="100") or bar fill; CSS transitions animate it
+    fill(meter) {
+      const { percent } = this.getValue(meter);
+      
+      const arc = $('.proficiency-ring__arc', meter);
+      if (arc) arc.style.strokeDashoffset = 100 - percent;
+      
+      const bar = $('.skill-item__fill', meter);
+      if (bar) {
+        bar.style.setProperty('--skill-percent', `${percent}%`);
+        bar.classList.add('animated');
+      }
+    }
+    
+    animateMeter(meter) {
+      // Let the element settle into view before drawing
+      setTimeout(() => {
+        this.fill(meter);
+      }, 100);
+    }
+  }
+  
+  /* ==========================================
+     SKILLS EXPLORER
+     ========================================== */
+  
+  /**
+   * Whether a technology name mentions a term as a whole word
+   * ("AWS" matches "AWS Bedrock", "Kubernetes" matches "AKS (Kubernetes)")
+   * @param {string} tech - Technology from a project's tags or stack
+   * @param {string} term - Skill term
+   * @returns {boolean}
+   */
+  const mentionsTerm = (tech, term) => {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`, 'i').test(tech);
+  };
+  
+  /**
+   * Sort the skills grid by level or years, switch to a skill × project
+   * matrix, and list under each skill the projects that used it. Skills
+   * match a project when a part of their name ("AWS & Azure" → "AWS",
+   * "Azure") or a data-skill-match alias appears in its tags or stack.
+   */
+  class SkillsExplorer {
+    constructor() {
+      this.container = $(CONFIG.SELECTORS.skillsGrid);
+      this.projects = [];
+      this.sort = 'default';
+      this.view = 'category';
+      
+      if (!this.container) return;
+      
+      this.init();
+    }
+    
+    init() {
+      this.skills = Array.from($$('.skill-item', this.container))
+        .map((item, index) => this.readSkill(item, index));
+      if (!this.skills.length) return;
+      
+      this.toolbar = this.renderToolbar();
+      this.container.before(this.toolbar);
+      
+      this.matrix = document.createElement('div');
+      this.matrix.className = 'skills-matrix';
+      this.matrix.hidden = true;
+      this.container.after(this.matrix);
+      
+      $('.skills-explorer__sort', this.toolbar).addEventListener('change', (e) => {
+        this.sort = e.target.value;
+        this.update();
+      });
+      
+      this.toolbar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-view]');
+        if (!button) return;
+        
+        this.view = button.dataset.view;
+        this.update();
+      });
+      
+      const signal = pageSignal();
+      
+      loadCatalog()
+        .then(catalog => {
+          // Left before the manifest arrived: the next page has its own explorer
+          if (signal.aborted) return;
+          
+          this.projects = catalog.projects;
+          this.linkProjects();
+          this.update();
+        })
+        .catch(() => {
+          // Without the manifest the explorer still sorts; it just can't cross-link
+        });
+    }
+    
+    readSkill(item, index) {
+      const name = $('.skill-item__name', item).textContent.trim();
+      const level = $('.skill-item__level', item);
+      const years = $('.skill-item__years', item);
+      const category = $('.skill-category__title', item.closest('.skill-category') || this.container);
+      const aliases = (item.dataset.skillMatch || '').split(',');
+      
+      return {
+        item,
+        index,
+        name,
+        level: level ? level.textContent.trim() : '',
+        rank: level ? CONFIG.SKILL_LEVELS.indexOf(level.textContent.trim()) : -1,
+        years: years ? parseFloat(years.textContent) || 0 : 0,
+        yearsText: years ? years.textContent.trim() : '',
+        category: category ? category.textContent.trim() : '',
+        terms: [...name.split('&'), ...aliases].map(term => term.trim()).filter(Boolean),
+        projects: []
+      };
+    }
+    
+    renderToolbar() {
+      const toolbar = document.createElement('div');
+      toolbar.className = 'skills-explorer';
+      toolbar.setAttribute('role', 'group');
+      toolbar.dataset.i18nAttr = 'aria-label:skills.explore';
+      
+      toolbar.innerHTML = `
+        <label class="skills-explorer__field">
+          <span class="skills-explorer__legend" data-i18n="skills.sortBy"></span>
+          <select class="skills-explorer__sort">
+            <option value="default" data-i18n="skills.sortDefault"></option>
+            <option value="level" data-i18n="skills.sortLevel"></option>
+            <option value="years" data-i18n="skills.sortYears"></option>
+          </select>
+        </label>
+        <div class="skills-explorer__views" role="group" data-i18n-attr="aria-label:skills.view">
+          <button type="button" class="chip" data-view="category" aria-pressed="true" data-i18n="skills.byCategory"></button>
+          <button type="button" class="chip" data-view="matrix" aria-pressed="false" data-i18n="skills.matrix"></button>
+        </div>
+      `;
+      translate(toolbar);
+      
+      return toolbar;
+    }
+    
+    /**
+     * Link to a project: the quick view on the homepage, its deep link elsewhere
+     * @param {Object} project - Project from the manifest
+     * @param {string} className - Link class
+     * @returns {string}
+     */
+    projectLink(project, className) {
+      const title = escapeHTML(project.title);
+      
+      if ($(CONFIG.SELECTORS.modal) && $(CONFIG.SELECTORS.projectsGrid)) {
+        // ProjectModal handles [data-quick-view] clicks anywhere on the page
+        return `<a href="#project=${escapeHTML(project.slug)}" class="${className}" data-quick-view="${escapeHTML(project.slug)}">${title}</a>`;
+      }
+      
+      return `<a href="${escapeHTML(siteURL(`index.html#project=${project.slug}`))}" class="${className}">${title}</a>`;
+    }
+    
+    linkProjects() {
+      this.skills.forEach(skill => {
+        skill.projects = this.projects.filter(project => {
+          const technologies = [...project.tags, ...(project.stack || [])];
+          return technologies.some(tech => skill.terms.some(term => mentionsTerm(tech, term)));
+        });
+        
+        let list = $('.skill-item__projects', skill.item);
+        if (!list) {
+          list = document.createElement('p');
+          list.className = 'skill-item__projects';
+          skill.item.appendChild(list);
+        }
+        
+        list.innerHTML = skill.projects.length
+          ? `<span class="skill-item__projects-label" data-i18n="skills.usedIn"></span> ${skill.projects.map(project => this.projectLink(project, 'tag skill-item__project')).join(' ')}`
+          : '<span class="skill-item__projects-label" data-i18n="skills.unused"></span>';
+        translate(list);
+      });
+    }
+    
+    /**
+     * Skills in the selected order. Ties fall back to the original order.
+     * @returns {Array<Object>}
+     */
+    getSorted() {
+      const compare = {
+        default: () => 0,
+        level: (a, b) => b.rank - a.rank || b.years - a.years,
+        years: (a, b) => b.years - a.years || b.rank - a.rank
+      }[this.sort] || (() => 0);
+      
+      return [...this.skills].sort((a, b) => compare(a, b) || a.index - b.index);
+    }
+    
+    update() {
+      const sorted = this.getSorted();
+      
+      // Reorder inside each category, so the category cards stay put
+      sorted.forEach(skill => skill.item.parentElement.appendChild(skill.item));
+      
+      $$('[data-view]', this.toolbar).forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.view === this.view));
+      });
+      
+      const showMatrix = this.view === 'matrix';
+      this.container.hidden = showMatrix;
+      this.matrix.hidden = !showMatrix;
+      if (showMatrix) this.renderMatrix(sorted);
+    }
+    
+    renderMatrix(skills) {
+      if (!this.projects.length) {
+        this.matrix.innerHTML = '<p class="skills-matrix__status" data-i18n="skills.loading"></p>';
+        translate(this.matrix);
+        return;
+      }
+      
+      this.matrix.innerHTML = `
+        <table class="skills-matrix__table">
+          <caption class="visually-hidden" data-i18n="skills.matrixCaption"></caption>
+          <thead>
+            <tr>
+              <th scope="col" data-i18n="skills.skill"></th>
+              ${this.projects.map(project => `
+                <th scope="col">${this.projectLink(project, 'skills-matrix__project')}</th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${skills.map(skill => `
+              <tr>
+                <th scope="row">
+                  <span class="skills-matrix__skill">${escapeHTML(skill.name)}</span>
+                  <span class="skills-matrix__meta">${escapeHTML([skill.level, skill.yearsText].filter(Boolean).join(' · '))}</span>
+                </th>
+                ${this.projects.map(project => skill.projects.includes(project) ? `
+                  <td class="skills-matrix__cell skills-matrix__cell--used">
+                    <span aria-hidden="true">●</span><span class="visually-hidden" data-i18n="skills.used"></span>
+                  </td>
+                ` : `
+                  <td class="skills-matrix__cell">
+                    <span class="visually-hidden" data-i18n="skills.notUsed"></span>
+                  </td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+      translate(this.matrix);
+    }
+  }
+  
+  /* ==========================================
+     ANIMATED COUNTER FOR STATISTICS
+     ========================================== */
+  class CounterAnimations {
+    constructor() {
+      this.counters = $$(CONFIG.SELECTORS.statNumbers);
+      this.animated = new Set();
+      this.settings = new Map();
+      this.init();
+    }
+    
+    init() {
+      if (!('IntersectionObserver' in window) || prefersReducedMotion()) {
+        // Fallback: show final numbers immediately
+        this.counters.forEach(counter => {
+          const settings = this.getSettings(counter);
+          if (settings) counter.textContent = this.format(settings, settings.target);
+        });
+        return;
+      }
+      
+      const options = {
+        threshold: 0.5
+      };
+      
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting && !this.animated.has(entry.target)) {
+            this.animateCounter(entry.target);
+            this.animated.add(entry.target);
+            observer.unobserve(entry.target);
+          }
+        });
+      }, options);
+      
+      this.counters.forEach(counter => {
+        if (this.prepare(counter)) observer.observe(counter);
+      });
+      onPageLeave(() => observer.disconnect());
+    }
+    
+    /**
+     * Read a counter's settings. data-count, data-prefix, data-suffix and
+     * data-decimals win; otherwise they're parsed from the text ("92%",
+     * "$1.5M", "8+"). data-locale, data-duration and data-easing are optional.
+     * @param {Element} counter - Counter element
+     * @returns {Object|null} null when there's no number to animate
+     */
+    getSettings(counter) {
+      if (this.settings.has(counter)) return this.settings.get(counter);
+      
+      const { dataset } = counter;
+      const match = counter.textContent.trim().match(/^(\D*?)(\d[\d,]*(?:\.\d+)?)(.*)$/);
+      if (dataset.count === undefined && !match) return null;
+      
+      const parsedNumber = match ? match[2].replace(/,/g, '') : '';
+      const count = dataset.count !== undefined ? dataset.count : parsedNumber;
+      const target = parseFloat(count);
+      if (Number.isNaN(target)) return null;
+      
+      const decimals = dataset.decimals !== undefined
+        ? parseInt(dataset.decimals, 10)
+        : (count.split('.')[1] || '').length;
+      
+      const settings = {
+        target,
+        prefix: dataset.prefix !== undefined ? dataset.prefix : (match ? match[1] : ''),
+        suffix: dataset.suffix !== undefined ? dataset.suffix : (match ? match[3] : ''),
+        duration: parseInt(dataset.duration, 10) || CONFIG.COUNTER_DURATION,
+        easing: EASINGS[dataset.easing] || EASINGS.easeOutCubic,
+        formatter: new Intl.NumberFormat(dataset.locale || document.documentElement.lang || undefined, {
+          minimumFractionDigits: decimals,
+          maximumFractionDigits: decimals
+        })
+      };
+      
+      this.settings.set(counter, settings);
+      return settings;
+    }
+    
+    /**
+     * @param {Object} settings - From getSettings()
+     * @param {number} value - Number to show
+     * @returns {string}
+     */
+    format(settings, value) {
+      return `${settings.prefix}${settings.formatter.format(value)}${settings.suffix}`;
+    }
+    
+    /**
+     * Split the counter into the final value for screen readers and an
+     * aria-hidden copy that animates, then reset the visible copy to zero.
+     * @param {Element} counter - Counter element
+     * @returns {boolean} Whether the counter can be animated
+     */
+    prepare(counter) {
+      const settings = this.getSettings(counter);
+      if (!settings) return false;
+      
+      // No whitespace between the spans: it would render as a leading space
+      counter.innerHTML =
+        `<span class="visually-hidden">${escapeHTML(this.format(settings, settings.target))}</span>` +
+        `<span aria-hidden="true">${escapeHTML(this.format(settings, 0))}</span>`;
+      
+      return true;
+    }
+    
+    animateCounter(counter) {
+      const settings = this.getSettings(counter);
+      const display = $('[aria-hidden="true"]', counter);
+      const startTime = performance.now();
+      
+      const updateCounter = (currentTime) => {
+        const elapsed = currentTime - startTime;
+        const progress = Math.min(elapsed / settings.duration, 1);
+        
+        const current = lerp(0, settings.target, settings.easing(progress));
+        display.textContent = this.format(settings, current);
+        
+        if (progress < 1) {
+          requestAnimationFrame(updateCounter);
+        } else {
+          display.textContent = this.format(settings, settings.target);
+        }
+      };
+      
+      requestAnimationFrame(updateCounter);
+    }
+  }
+  
+  /* ==========================================
+     PROJECT CATALOG (DATA)
+     ========================================== */
+  let catalogRequest = null;
+  
+  /**
+   * Load the project manifest. The request is made once and shared by
+   * every component that needs project data.
+   * @returns {Promise<{categories: Object<string, string>, projects: Array<Object>}>}
+   */
+  const loadCatalog = () => {
+    if (!catalogRequest) {
+      catalogRequest = fetch(siteURL(CONFIG.PROJECTS_MANIFEST))
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Project manifest request failed (${response.status})`);
+          }
+          return response.json();
+        });
+    }
+    return catalogRequest;
+  };
+  
+  /**
+   * Load just the project list from the manifest
+   * @returns {Promise<Array<Object>>}
+   */
+  const loadProjects = () => loadCatalog().then(catalog => catalog.projects);
+  
+  /**
+   * Show a project: its quick view when the grid is on this page,
+   * otherwise the homepage deep link that opens it
+   * @param {string} slug - Project slug from the manifest
+   */
+  const openProject = (slug) => {
+    const trigger = $(`[data-quick-view="${slug}"]`);
+    
+    if (trigger) {
+      trigger.click();
+    } else {
+      visit(siteURL(`index.html#project=${slug}`));
+    }
+  };
+  
+  /**
+   * Format a "YYYY-MM" month as "Sep 2024"
+   * @param {string} month - ISO year-month
+   * @returns {string}
+   */
+  const formatMonth = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthIndex - 1)).toLocaleDateString(currentLocale, {
+      month: 'short',
+      year: 'numeric',
+      timeZone: 'UTC'
+    });
+  };
+  
+  /**
+   * Format a project's date range as "Sep 2024 – Present"
+   * @param {{start: string, end: ?string}} dates - Manifest date range
+   * @returns {string}
+   */
+  const formatDateRange = (dates) => {
+    const end = dates.end ? formatMonth(dates.end) : t('projects.present');
+    return `${formatMonth(dates.start)} – ${end}`;
+  };
+  
+  /* ==========================================
+     PROJECT GRID RENDERER
+     ========================================== */
+  class ProjectGrid {
+    constructor() {
+      this.grid = $(CONFIG.SELECTORS.projectsGrid);
+      
+      if (!this.grid) return;
+      
+      this.init();
+    }
+    
+    init() {
+      const signal = pageSignal();
+      
+      loadCatalog()
+        .then(catalog => {
+          // Left before the manifest arrived: the next page renders its own
+          if (!signal.aborted) this.render(catalog);
+        })
+        .catch(() => this.renderError());
+    }
+    
+    render({ projects, categories }) {
+      this.grid.innerHTML = projects.map(project => this.renderCard(project)).join('');
+      this.grid.removeAttribute('aria-busy');
+      translate(this.grid);
+      
+      // Cards are created after the page-wide ImageLoader ran
+      new ImageLoader(this.grid);
+      
+      document.dispatchEvent(new CustomEvent('projects:rendered', {
+        detail: { projects, categories }
+      }));
+    }
+    
+    renderCard(project) {
+      return `
+        <article class="project-card" data-category="${escapeHTML(project.category)}" data-slug="${escapeHTML(project.slug)}">
+          <div class="project-card__image">
+            <!-- Loading skeleton for progressive image load -->
+            <div class="skeleton skeleton--image"></div>
+            <img src="${escapeHTML(siteURL(project.image))}"
+                 alt="${escapeHTML(project.imageAlt)}"
+                 loading="lazy">
+          </div>
+          <div class="project-card__content">
+            <h3 class="project-card__title">${escapeHTML(project.title)}</h3>
+            <p class="project-card__description">${escapeHTML(project.summary)}</p>
+            <div class="project-card__tags">
+              ${project.tags.map(tag => `<span class="tag">${escapeHTML(tag)}</span>`).join('')}
+            </div>
+            <div class="project-card__actions">
+              <a href="${escapeHTML(siteURL(project.url))}" class="btn btn--small btn--primary" data-i18n="projects.viewDetails"
+                 data-track="project_details" data-track-project="${escapeHTML(project.slug)}"></a>
+              <button class="btn btn--small btn--icon" data-i18n-attr="aria-label:projects.quickView" data-quick-view="${escapeHTML(project.slug)}">
+                <svg width="20" height="20" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                  <path d="M10 12a2 2 0 100-4 2 2 0 000 4z"/>
+                  <path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd"/>
+                </svg>
+              </button>
+            </div>
+          </div>
+        </article>
+      `;
+    }
+    
+    renderError() {
+      this.grid.removeAttribute('aria-busy');
+      this.grid.innerHTML = '<p class="projects__status" role="alert" data-i18n="projects.loadError"></p>';
+      translate(this.grid);
+    }
+  }
+  
+  /* ==========================================
+     PROJECT FILTERS & SEARCH
+     ========================================== */
+  class ProjectFilters {
+    constructor() {
+      this.grid = $(CONFIG.SELECTORS.projectsGrid);
+      this.state = { categories: [], tags: [], query: '', match: 'any' };
+      
+      if (!this.grid) return;
+      
+      this.init();
+    }
+    
+    init() {
+      // Cards (and the categories/tags to filter by) only exist once rendered
+      document.addEventListener('projects:rendered', (e) => {
+        this.setup(e.detail);
+      }, { once: true, signal: pageSignal() });
+    }
+    
+    setup({ projects, categories }) {
+      this.cards = Array.from($$(CONFIG.SELECTORS.projectCards, this.grid));
+      this.state = this.readURL();
+      
+      const usedCategories = [...new Set(projects.map(p => p.category))];
+      const tags = [...new Set(projects.flatMap(p => p.tags))].sort((a, b) => a.localeCompare(b));
+      
+      this.bar = this.renderBar(
+        usedCategories.map(value => ({ value, label: categories[value] || value })),
+        tags.map(value => ({ value, label: value }))
+      );
+      this.grid.before(this.bar);
+      
+      this.search = $('.project-filters__input', this.bar);
+      this.count = $('.project-filters__count', this.bar);
+      this.search.value = this.state.query;
+      
+      this.bar.addEventListener('click', (e) => this.handleClick(e));
+      this.search.addEventListener('input', debounce(() => {
+        this.state.query = this.search.value.trim();
+        this.update();
+      }, 200));
+      
+      this.update();
+    }
+    
+    renderBar(categories, tags) {
+      const bar = document.createElement('div');
+      bar.className = 'project-filters';
+      bar.setAttribute('role', 'search');
+      bar.dataset.i18nAttr = 'aria-label:filters.label';
+      
+      const chips = (type, items) => items.map(item => `
+        <button type="button" class="chip" data-filter="${type}" data-value="${escapeHTML(item.value)}" aria-pressed="false">
+          ${escapeHTML(item.label)}
+        </button>
+      `).join('');
+      
+      bar.innerHTML = `
+        <div class="project-filters__search">
+          <label for="project-search" class="visually-hidden" data-i18n="filters.search"></label>
+          <input type="search" id="project-search" class="form-input project-filters__input"
+                 data-i18n-attr="placeholder:filters.searchPlaceholder" autocomplete="off">
+        </div>
+        <div class="project-filters__group" role="group" aria-labelledby="project-filters-category">
+          <span id="project-filters-category" class="project-filters__legend" data-i18n="filters.category"></span>
+          ${chips('category', categories)}
+        </div>
+        <div class="project-filters__group" role="group" aria-labelledby="project-filters-tag">
+          <span id="project-filters-tag" class="project-filters__legend" data-i18n="filters.technology"></span>
+          ${chips('tag', tags)}
+          <button type="button" class="chip chip--mode" data-filter="match"></button>
+        </div>
+        <div class="project-filters__footer">
+          <p class="project-filters__count" aria-live="polite" aria-atomic="true"></p>
+          <button type="button" class="btn btn--text btn--small" data-filter="clear" data-i18n="filters.clear"></button>
+        </div>
+      `;
+      translate(bar);
+      
+      return bar;
+    }
+    
+    handleClick(e) {
+      const button = e.target.closest('[data-filter]');
+      if (!button) return;
+      
+      const { filter, value } = button.dataset;
+      
+      if (filter === 'category') {
+        this.state.categories = this.toggleValue(this.state.categories, value);
+      } else if (filter === 'tag') {
+        this.state.tags = this.toggleValue(this.state.tags, value);
+      } else if (filter === 'match') {
+        this.state.match = this.state.match === 'any' ? 'all' : 'any';
+      } else if (filter === 'clear') {
+        this.state = { categories: [], tags: [], query: '', match: 'any' };
+        this.search.value = '';
+      }
+      
+      this.update();
+    }
+    
+    toggleValue(list, value) {
+      return list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+    }
+    
+    /**
+     * Categories are OR'ed (a project has one category), tags are OR'ed or
+     * AND'ed depending on the match mode, and the groups are AND'ed together.
+     */
+    matches(card) {
+      const { categories, tags, query, match } = this.state;
+      const cardTags = Array.from($$('.tag', card)).map(tag => tag.textContent.trim());
+      
+      if (categories.length && !categories.includes(card.dataset.category)) return false;
+      
+      if (tags.length) {
+        const hasTag = (tag) => cardTags.includes(tag);
+        const tagMatch = match === 'all' ? tags.every(hasTag) : tags.some(hasTag);
+        if (!tagMatch) return false;
+      }
+      
+      if (query) {
+        const text = [
+          $('.project-card__title', card).textContent,
+          $('.project-card__description', card).textContent
+        ].join(' ').toLowerCase();
+        if (!text.includes(query.toLowerCase())) return false;
+      }
+      
+      return true;
+    }
+    
+    update() {
+      let visible = 0;
+      this.cards.forEach(card => {
+        const show = this.matches(card);
+        card.hidden = !show;
+        if (show) visible++;
+      });
+      
+      $$('.chip[data-filter="category"], .chip[data-filter="tag"]', this.bar).forEach(chip => {
+        const list = chip.dataset.filter === 'category' ? this.state.categories : this.state.tags;
+        chip.setAttribute('aria-pressed', String(list.includes(chip.dataset.value)));
+      });
+      
+      const modeChip = $('.chip--mode', this.bar);
+      setText(modeChip, this.state.match === 'all' ? 'filters.matchAll' : 'filters.matchAny');
+      
+      setText(this.count, 'filters.count', { visible, count: this.cards.length });
+      
+      this.writeURL();
+      
+      document.dispatchEvent(new CustomEvent('projects:filtered', {
+        detail: { visible }
+      }));
+    }
+    
+    readURL() {
+      const params = new URLSearchParams(window.location.search);
+      return {
+        categories: params.getAll('category'),
+        tags: params.getAll('tag'),
+        query: params.get('q') || '',
+        match: params.get('match') === 'all' ? 'all' : 'any'
+      };
+    }
+    
+    writeURL() {
+      const params = new URLSearchParams(window.location.search);
+      ['category', 'tag', 'q', 'match'].forEach(key => params.delete(key));
+      
+      this.state.categories.forEach(category => params.append('category', category));
+      this.state.tags.forEach(tag => params.append('tag', tag));
+      if (this.state.query) params.set('q', this.state.query);
+      if (this.state.match === 'all') params.set('match', 'all');
+      
+      const search = params.toString();
+      const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+      history.replaceState(history.state, '', url);
+    }
+  }
+  
+  /* ==========================================
+     PROJECT MODAL
+     ========================================== */
+  class ProjectModal {
+    constructor() {
+      this.modal = $(CONFIG.SELECTORS.modal);
+      this.currentSlug = null;
+      this.catalog = null;
+      
+      if (!this.modal) return;
+      
+      this.content = $('.modal__content', this.modal);
+      this.prevButton = $('[data-modal-prev]', this.modal);
+      this.nextButton = $('[data-modal-next]', this.modal);
+      this.position = $('.modal__position', this.modal);
+      this.dialog = new Dialog(this.modal, {
+        initialFocus: $('.modal__close', this.modal),
+        onEscape: () => this.requestClose()
+      });
+      
+      this.init();
+    }
+    
+    init() {
+      const signal = pageSignal();
+      
+      // Open modal on trigger click (delegated: cards are rendered async)
+      document.addEventListener('click', (e) => {
+        const trigger = e.target.closest(CONFIG.SELECTORS.quickView);
+        if (!trigger) return;
+        
+        e.preventDefault();
+        this.show(trigger.dataset.quickView, { pushHistory: true });
+      }, { signal });
+      
+      // Close modal on close button or overlay click
+      const closeButtons = $$(CONFIG.SELECTORS.modalClose);
+      closeButtons.forEach(btn => {
+        btn.addEventListener('click', () => this.requestClose());
+      });
+      
+      // Step through the currently visible cards
+      if (this.prevButton) this.prevButton.addEventListener('click', () => this.step(-1));
+      if (this.nextButton) this.nextButton.addEventListener('click', () => this.step(1));
+      
+      // Step with arrow keys (Escape is handled by the dialog)
+      document.addEventListener('keydown', (e) => {
+        if (!this.dialog.isTopmost()) return;
+        
+        if (e.key === 'ArrowLeft') {
+          this.step(-1);
+        } else if (e.key === 'ArrowRight') {
+          this.step(1);
+        }
+      }, { signal });
+      
+      // Back/Forward open and close the modal to match the URL
+      window.addEventListener('popstate', () => this.syncWithURL(), { signal });
+      
+      // Open a deep-linked project once the cards exist
+      document.addEventListener('projects:rendered', () => this.syncWithURL(), { once: true, signal });
+      
+      // Dates are formatted for the language, so render an open project again
+      onPageLeave(subscribeLocale(() => {
+        if (this.isOpen() && this.currentSlug) this.show(this.currentSlug);
+      }));
+      
+      // A link in the quick view can lead to another page: release the
+      // scroll lock and the inert background first
+      onPageLeave(() => {
+        if (this.isOpen()) this.closeModal();
+      });
+    }
+    
+    isOpen() {
+      return !this.modal.hasAttribute('hidden');
+    }
+    
+    /**
+     * Read the project slug from a "#project=<slug>" hash
+     * @returns {string|null}
+     */
+    getSlugFromURL() {
+      const match = window.location.hash.match(/^#project=([\w-]+)$/);
+      return match ? match[1] : null;
+    }
+    
+    syncWithURL() {
+      const slug = this.getSlugFromURL();
+      
+      if (slug) {
+        this.show(slug);
+      } else if (this.isOpen()) {
+        this.closeModal();
+      }
+    }
+    
+    /**
+     * Show a project, opening the modal if needed
+     * @param {string} slug - Project slug from the manifest
+     * @param {{pushHistory: boolean}} options - Add a history entry (user-initiated opens)
+     */
+    show(slug, { pushHistory = false } = {}) {
+      loadCatalog().then(catalog => {
+        const project = catalog.projects.find(p => p.slug === slug);
+        if (!project) return;
+        
+        this.catalog = catalog;
+        
+        if (pushHistory && !this.isOpen()) {
+          history.pushState({ projectModal: slug }, '', `#project=${slug}`);
+        } else if (this.getSlugFromURL() !== slug) {
+          // Stepping between projects replaces the entry so Back still closes
+          history.replaceState(history.state, '', `#project=${slug}`);
+        }
+        
+        this.render(project);
+        if (!this.isOpen()) this.openModal();
+      }).catch(error => {
+        console.error('Project could not be shown:', error);
+        showToast(t('projects.loadError'));
+        
+        // Don't leave a deep link that opens nothing
+        if (this.getSlugFromURL()) {
+          history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+        }
+      });
+    }
+    
+    /**
+     * Slugs of the cards currently shown in the grid (respects filters)
+     * @returns {Array<string>}
+     */
+    getVisibleSlugs() {
+      return Array.from($$(`${CONFIG.SELECTORS.projectCards}:not([hidden])`))
+        .map(card => card.dataset.slug);
+    }
+    
+    step(direction) {
+      const slugs = this.getVisibleSlugs();
+      const index = slugs.indexOf(this.currentSlug);
+      if (slugs.length < 2 || index === -1) return;
+      
+      const nextIndex = (index + direction + slugs.length) % slugs.length;
+      this.show(slugs[nextIndex]);
+    }
+    
+    render(project) {
+      this.currentSlug = project.slug;
+      
+      const category = this.catalog.categories[project.category] || project.category;
+      const metrics = project.metrics || [];
+      
+      this.content.innerHTML = `
+        <div class="modal__media">
+          <img src="${escapeHTML(siteURL(project.image))}" alt="${escapeHTML(project.imageAlt)}">
+        </div>
+        <p class="modal__eyebrow">${escapeHTML(category)}</p>
+        <h2 id="modal-title">${escapeHTML(project.title)}</h2>
+        <div class="modal__meta">
+          <span class="modal__meta-item">${escapeHTML(formatDateRange(project.dates))}</span>
+          <span class="modal__meta-item">${escapeHTML(project.employer)}</span>
+        </div>
+        <p>${escapeHTML(project.summary)}</p>
+        ${metrics.length ? `
+          <dl class="modal__metrics">
+            ${metrics.map(metric => `
+              <div class="modal__metric">
+                <dt class="modal__metric-label">${escapeHTML(metric.label)}</dt>
+                <dd class="modal__metric-value">${escapeHTML(metric.value)}</dd>
+              </div>
+            `).join('')}
+          </dl>
+        ` : ''}
+        <div class="project-card__tags">
+          ${project.tags.map(tag => `<span class="tag">${escapeHTML(tag)}</span>`).join('')}
+        </div>
+        <a href="${escapeHTML(siteURL(project.url))}" class="btn btn--small btn--primary" data-i18n="projects.caseStudy"></a>
+      `;
+      translate(this.content);
+      
+      this.updateNav();
+    }
+    
+    updateNav() {
+      const slugs = this.getVisibleSlugs();
+      const index = slugs.indexOf(this.currentSlug);
+      const canStep = slugs.length > 1 && index !== -1;
+      
+      [this.prevButton, this.nextButton].forEach(button => {
+        if (button) button.disabled = !canStep;
+      });
+      
+      if (this.position && index === -1) {
+        delete this.position.dataset.i18n;
+        this.position.textContent = '';
+      } else if (this.position) {
+        setText(this.position, 'projects.position', { index: index + 1, count: slugs.length });
+      }
+    }
+    
+    openModal() {
+      // Show modal, trap focus, lock scroll, make the page behind inert
+      this.modal.setAttribute('aria-hidden', 'false');
+      this.dialog.open();
+      track('project_open', { project: this.currentSlug });
+    }
+    
+    /**
+     * Close from the UI. If we added the history entry, going back removes
+     * it (popstate then closes the modal); otherwise just drop the hash.
+     */
+    requestClose() {
+      if (history.state && history.state.projectModal) {
+        history.back();
+        return;
+      }
+      
+      history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+      this.closeModal();
+    }
+    
+    closeModal() {
+      this.modal.setAttribute('aria-hidden', 'true');
+      this.currentSlug = null;
+      
+      // Hide and return focus to trigger
+      this.dialog.close();
+    }
+  }
+  
+  /* ==========================================
+     CONTACT FORM TRANSPORTS
+     ========================================== */
+  
+  /**
+   * Error raised by a transport. `reason` is 'timeout', 'network' or 'http';
+   * `retryable` marks failures worth another attempt (timeouts, 5xx, 429).
+   */
+  class TransportError extends Error {
+    constructor(message, { reason, retryable = false, status = 0 } = {}) {
+      super(message);
+      this.name = 'TransportError';
+      this.reason = reason;
+      this.retryable = retryable;
+      this.status = status;
+    }
+  }
+  
+  /**
+   * Hands the message to the visitor's mail client. Used when no endpoint
+   * is configured; builds a properly encoded mailto: URL.
+   */
+  class MailtoTransport {
+    constructor(form) {
+      this.address = (form.getAttribute('action') || '').replace(/^mailto:/i, '');
+    }
+    
+    send({ name, email, message }) {
+      const subject = `Portfolio contact from ${name}`;
+      const body = `${message}\n\n— ${name} <${email}>`;
+      
+      window.location.href = `mailto:${this.address}` +
+        `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+      
+      return Promise.resolve();
+    }
+  }
+  
+  /**
+   * POSTs the message as JSON to data-endpoint (Formspree-style services or
+   * our own backend), with a per-attempt timeout and exponential backoff.
+   */
+  class FetchTransport {
+    constructor(form) {
+      this.endpoint = form.dataset.endpoint;
+      this.timeout = Number(form.dataset.timeout) || CONFIG.CONTACT_TIMEOUT;
+      this.retries = form.dataset.retries !== undefined
+        ? Number(form.dataset.retries)
+        : CONFIG.CONTACT_RETRIES;
+    }
+    
+    send(payload) {
+      return this.attempt(payload, 0);
+    }
+    
+    attempt(payload, attemptNumber) {
+      return this.post(payload).catch(error => {
+        if (!error.retryable || attemptNumber >= this.retries) throw error;
+        
+        const delay = CONFIG.CONTACT_RETRY_DELAY * Math.pow(2, attemptNumber);
+        return new Promise(resolve => setTimeout(resolve, delay))
+          .then(() => this.attempt(payload, attemptNumber + 1));
+      });
+    }
+    
+    post(payload) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+      
+      return fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      })
+        .then(response => {
+          if (!response.ok) {
+            throw new TransportError(`Request failed (${response.status})`, {
+              reason: 'http',
+              status: response.status,
+              retryable: response.status >= 500 || response.status === 429
+            });
+          }
+          return response;
+        }, error => {
+          const timedOut = error.name === 'AbortError';
+          throw new TransportError(timedOut ? 'Request timed out' : 'Network error', {
+            reason: timedOut ? 'timeout' : 'network',
+            retryable: true
+          });
+        })
+        .finally(() => clearTimeout(timer));
+    }
+  }
+  
+  // Transports selectable via the form's data-transport attribute
+  const CONTACT_TRANSPORTS = {
+    mailto: MailtoTransport,
+    fetch: FetchTransport
+  };
+  
+  /* ==========================================
+     CONTACT FORM SPAM PROTECTION
+     ========================================== */
+  
+  /**
+   * Hash a string (FNV-1a, 32-bit). Only used to recognise repeated
+   * messages, so it doesn't need to be cryptographic.
+   * @param {string} text - Text to hash
+   * @returns {string}
+   */
+  const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  };
+  
+  /**
+   * Client-side bot and abuse checks for the contact form: honeypot field,
+   * minimum fill time, per-browser rate limit, link count and duplicates.
+   * check() returns null when the submission may go through, otherwise a
+   * rejection with a distinct code for showStatus.
+   */
+  class SpamGuard {
+    constructor(form) {
+      this.form = form;
+      this.honeypot = $('[data-honeypot]', form);
+      // Set by the first input: the time-trap measures typing, not how long
+      // the page has been open
+      this.startedAt = null;
+      
+      form.addEventListener('input', () => {
+        if (this.startedAt === null) this.startedAt = Date.now();
+      });
+      
+      // The time-trap restarts whenever the form is cleared for a new message
+      form.addEventListener('reset', () => {
+        this.startedAt = null;
+      });
+    }
+    
+    /**
+     * Treat the form as already filled in by hand (a draft restored from an
+     * earlier visit), so sending it straight away isn't taken for a bot
+     */
+    markPrefilled() {
+      this.startedAt = 0;
+    }
+    
+    /**
+     * @param {{message: string}} payload - Form values
+     * @returns {{code: string, type: string, message: string}|null}
+     */
+    check(payload) {
+      if (this.honeypot && this.honeypot.value) {
+        // Pretend it worked so bots don't learn to skip the field
+        return {
+          code: 'spam-honeypot',
+          type: 'success',
+          message: t('contact.sent')
+        };
+      }
+      
+      // Never typed into at all, or too quickly
+      if (this.startedAt === null || Date.now() - this.startedAt < CONFIG.SPAM_MIN_FILL_TIME) {
+        return {
+          code: 'spam-too-fast',
+          type: 'error',
+          message: t('contact.tooFast')
+        };
+      }
+      
+      const links = payload.message.match(/https?:\/\/|www\./gi) || [];
+      if (links.length > CONFIG.SPAM_MAX_LINKS) {
+        return {
+          code: 'spam-links',
+          type: 'error',
+          message: t('contact.tooManyLinks', { count: CONFIG.SPAM_MAX_LINKS })
+        };
+      }
+      
+      const log = this.getLog();
+      
+      if (log.some(entry => entry.hash === this.hashMessage(payload.message))) {
+        return {
+          code: 'duplicate',
+          type: 'error',
+          message: t('contact.duplicate')
+        };
+      }
+      
+      const recent = log.filter(entry => Date.now() - entry.at < CONFIG.SPAM_RATE_WINDOW);
+      if (recent.length >= CONFIG.SPAM_RATE_LIMIT) {
+        const retryAt = recent[0].at + CONFIG.SPAM_RATE_WINDOW;
+        const minutes = Math.max(1, Math.ceil((retryAt - Date.now()) / 60000));
+        return {
+          code: 'rate-limited',
+          type: 'error',
+          message: t('contact.rateLimited', { count: minutes })
+        };
+      }
+      
+      return null;
+    }
+    
+    /**
+     * Remember a sent message for the rate limit and duplicate checks. Only
+     * for messages a server accepted: a mailto hand-off may never be sent.
+     * @param {{message: string}} payload - Form values
+     */
+    record(payload) {
+      const log = this.getLog();
+      log.push({ at: Date.now(), hash: this.hashMessage(payload.message) });
+      storage.set(CONFIG.STORAGE_CONTACT_LOG, JSON.stringify(log));
+    }
+    
+    hashMessage(message) {
+      return hashString(message.toLowerCase().replace(/\s+/g, ' ').trim());
+    }
+    
+    /**
+     * Sent-message log, oldest first, pruned to the duplicate window
+     * @returns {Array<{at: number, hash: string}>}
+     */
+    getLog() {
+      let log;
+      try {
+        log = JSON.parse(storage.get(CONFIG.STORAGE_CONTACT_LOG)) || [];
+      } catch (error) {
+        log = [];
+      }
+      
+      return log.filter(entry => Date.now() - entry.at < CONFIG.SPAM_DUPLICATE_WINDOW);
+    }
+  }
+  
+  /* ==========================================
+     FORM VALIDATOR REGISTRY
+     ========================================== */
+  
+  /**
+   * Field validation rules, checked in registration order. Each rule has
+   * applies(field) - whether the field opts in (usually via a data attribute)
+   * and validate(value, field) - an error message, or null when valid.
+   * Built-in rules read required, type="email", data-minlength,
+   * data-maxlength and data-pattern; data-validate="rule-a rule-b" opts a
+   * field into named custom rules.
+   */
+  const FORM_VALIDATORS = [];
+  
+  /**
+   * Register a validation rule
+   * @param {string} name - Rule name (used by data-validate for custom rules)
+   * @param {{applies?: Function, validate: Function}} rule - Rule definition
+   */
+  const registerValidator = (name, rule) => {
+    FORM_VALIDATORS.push({
+      name,
+      applies: rule.applies || ((field) => (field.dataset.validate || '').split(/\s+/).includes(name)),
+      validate: rule.validate
+    });
+  };
+  
+  registerValidator('required', {
+    applies: (field) => field.hasAttribute('required'),
+    validate: (value) => value ? null : t('validation.required')
+  });
+  
+  registerValidator('email', {
+    applies: (field) => field.type === 'email',
+    validate: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+      ? null
+      : t('validation.email')
+  });
+  
+  registerValidator('minlength', {
+    applies: (field) => field.dataset.minlength !== undefined,
+    validate: (value, field) => {
+      const min = Number(field.dataset.minlength);
+      return value.length >= min ? null : t('validation.minlength', { count: min });
+    }
+  });
+  
+  registerValidator('maxlength', {
+    applies: (field) => field.dataset.maxlength !== undefined,
+    validate: (value, field) => {
+      const max = Number(field.dataset.maxlength);
+      return value.length <= max ? null : t('validation.maxlength', { count: max });
+    }
+  });
+  
+  registerValidator('pattern', {
+    applies: (field) => field.dataset.pattern !== undefined,
+    validate: (value, field) => new RegExp(`^(?:${field.dataset.pattern})$`).test(value)
+      ? null
+      : field.dataset.patternMessage || t('validation.pattern')
+  });
+  
+  // Custom rule: names shouldn't carry links (a common spam tell)
+  registerValidator('no-urls', {
+    validate: (value) => /https?:\/\/|www\./i.test(value) ? t('validation.noUrls') : null
+  });
+  
+  /* ==========================================
+     CONTACT FORM DRAFT AUTOSAVE
+     ========================================== */
+  
+  /**
+   * Saves what the visitor has typed to localStorage (debounced) and puts it
+   * back on the next visit, with a notice offering to discard it. Drafts
+   * older than data-draft-max-age (ms) or CONFIG.DRAFT_MAX_AGE are dropped.
+   */
+  class FormDraft {
+    constructor(form, fieldNames) {
+      this.form = form;
+      this.fields = fieldNames
+        .map(name => form.elements.namedItem(name))
+        .filter(Boolean);
+      this.maxAge = Number(form.dataset.draftMaxAge) || CONFIG.DRAFT_MAX_AGE;
+      this.notice = null;
+      // Whether restore() filled in any field
+      this.restored = false;
+      
+      this.init();
+    }
+    
+    init() {
+      this.restore();
+      
+      const save = debounce(() => this.save(), CONFIG.DRAFT_SAVE_DELAY);
+      this.fields.forEach(field => field.addEventListener('input', save));
+    }
+    
+    save() {
+      const values = {};
+      this.fields.forEach(field => {
+        values[field.name] = field.value;
+      });
+      
+      if (!Object.values(values).some(value => value.trim())) {
+        this.clear();
+        return;
+      }
+      
+      storage.set(CONFIG.STORAGE_CONTACT_DRAFT, JSON.stringify({
+        savedAt: Date.now(),
+        values
+      }));
+    }
+    
+    /**
+     * Stored draft, or null if there is none or it has expired
+     * @returns {{savedAt: number, values: Object<string, string>}|null}
+     */
+    load() {
+      let draft;
+      try {
+        draft = JSON.parse(storage.get(CONFIG.STORAGE_CONTACT_DRAFT));
+      } catch (error) {
+        draft = null;
+      }
+      
+      if (!draft || !draft.values) return null;
+      
+      if (Date.now() - draft.savedAt > this.maxAge) {
+        this.clear();
+        return null;
+      }
+      
+      return draft;
+    }
+    
+    restore() {
+      const draft = this.load();
+      if (!draft) return;
+      
+      this.fields.forEach(field => {
+        // Don't overwrite anything the browser already filled in
+        const value = draft.values[field.name];
+        if (value && !field.value) {
+          field.value = value;
+          this.restored = true;
+        }
+      });
+      
+      if (this.restored) this.showNotice();
+    }
+    
+    showNotice() {
+      this.notice = document.createElement('div');
+      this.notice.className = 'form-draft';
+      this.notice.setAttribute('role', 'status');
+      this.notice.innerHTML = `
+        <span class="form-draft__text" data-i18n="contact.draftRestored"></span>
+        <button type="button" class="form-draft__discard" data-i18n="contact.draftDiscard"></button>
+      `;
+      translate(this.notice);
+      
+      $('.form-draft__discard', this.notice).addEventListener('click', () => this.discard());
+      
+      const summary = $('.form-summary', this.form);
+      if (summary) {
+        summary.after(this.notice);
+      } else {
+        this.form.prepend(this.notice);
+      }
+    }
+    
+    hideNotice() {
+      if (this.notice) {
+        this.notice.remove();
+        this.notice = null;
+      }
+    }
+    
+    discard() {
+      this.fields.forEach(field => {
+        field.value = '';
+      });
+      this.clear();
+      
+      if (this.fields[0]) this.fields[0].focus();
+    }
+    
+    clear() {
+      storage.remove(CONFIG.STORAGE_CONTACT_DRAFT);
+      this.hideNotice();
+    }
+  }
+  
+  /* ==========================================
+     CONTACT FORM VALIDATION
+     ========================================== */
+  class ContactForm {
+    constructor() {
+      this.form = $(CONFIG.SELECTORS.contactForm);
+      this.statusTimer = null;
+      this.isSending = false;
+      
+      if (!this.form) return;
+      
+      this.submitButton = $('[type="submit"]', this.form);
+      this.transport = this.createTransport();
+      this.spamGuard = new SpamGuard(this.form);
+      this.summary = this.createSummary();
+      this.draft = new FormDraft(this.form, ['name', 'email', 'message']);
+      if (this.draft.restored) this.spamGuard.markPrefilled();
+      
+      this.init();
+    }
+    
+    /**
+     * Pick the transport named by data-transport. A fetch transport without
+     * an endpoint falls back to mailto so the form always does something.
+     */
+    createTransport() {
+      let type = this.form.dataset.transport || 'mailto';
+      
+      if (!CONTACT_TRANSPORTS[type] || (type === 'fetch' && !this.form.dataset.endpoint)) {
+        type = 'mailto';
+      }
+      
+      this.transportType = type;
+      return new CONTACT_TRANSPORTS[type](this.form);
+    }
+    
+    init() {
+      this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+      this.form.addEventListener('reset', () => this.clearErrors());
+      
+      // Real-time validation: on blur, then live once a field has an error
+      this.getFields().forEach(field => {
+        field.addEventListener('blur', () => {
+          this.validateField(field);
+          this.refreshSummary();
+        });
+        field.addEventListener('input', () => {
+          if (field.getAttribute('aria-invalid') !== 'true') return;
+          this.validateField(field);
+          this.refreshSummary();
+        });
+      });
+      
+      // Summary links move focus to the field rather than changing the URL
+      this.summary.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href^="#"]');
+        if (!link) return;
+        
+        e.preventDefault();
+        const field = $(link.getAttribute('href'), this.form);
+        if (field) field.focus();
+      });
+    }
+    
+    getFields() {
+      return Array.from(this.form.querySelectorAll('input:not([data-honeypot]), textarea'));
+    }
+    
+    /**
+     * Create the error summary shown at the top of the form
+     * @returns {Element}
+     */
+    createSummary() {
+      const summary = document.createElement('div');
+      summary.className = 'form-summary';
+      summary.id = `${this.form.id || 'contact-form'}-summary`;
+      summary.hidden = true;
+      summary.innerHTML = `
+        <p class="form-summary__title" data-i18n="contact.summary"></p>
+        <ul class="form-summary__list"></ul>
+      `;
+      translate(summary);
+      this.form.prepend(summary);
+      return summary;
+    }
+    
+    /**
+     * Find (or create) a field's error element and link it via aria-describedby
+     * @param {Element} field - Input or textarea
+     * @returns {Element}
+     */
+    getErrorElement(field) {
+      const id = `${field.id}-error`;
+      let error = document.getElementById(id);
+      
+      if (!error) {
+        error = document.createElement('p');
+        error.id = id;
+        error.className = 'form-error';
+        error.hidden = true;
+        field.closest('.form-group').append(error);
+        
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+      }
+      
+      return error;
+    }
+    
+    validateField(field) {
+      const value = field.value.trim();
+      const rules = FORM_VALIDATORS.filter(rule => rule.applies(field));
+      
+      // Only "required" applies to an empty field; the rest check content
+      let message = '';
+      for (const rule of rules) {
+        if (!value && rule.name !== 'required') continue;
+        message = rule.validate(value, field) || '';
+        if (message) break;
+      }
+      
+      const isValid = !message;
+      const error = this.getErrorElement(field);
+      
+      // Update field appearance and accessibility state
+      field.setAttribute('aria-invalid', String(!isValid));
+      field.closest('.form-group').classList.toggle('form-group--invalid', !isValid);
+      error.textContent = message;
+      error.hidden = isValid;
+      
+      return { isValid, message };
+    }
+    
+    clearErrors() {
+      this.getFields().forEach(field => {
+        field.removeAttribute('aria-invalid');
+        field.closest('.form-group').classList.remove('form-group--invalid');
+        this.getErrorElement(field).hidden = true;
+      });
+      this.summary.hidden = true;
+    }
+    
+    /**
+     * List every error in the summary, each linking to its field
+     * @param {Array<{field: Element, message: string}>} errors - Invalid fields
+     */
+    renderSummary(errors) {
+      const list = $('.form-summary__list', this.summary);
+      
+      list.innerHTML = errors.map(({ field, message }) => {
+        const label = $(`label[for="${field.id}"]`, this.form);
+        const name = label ? label.textContent.trim() : field.name;
+        return `<li><a href="#${escapeHTML(field.id)}">${escapeHTML(name)}: ${escapeHTML(message)}</a></li>`;
+      }).join('');
+      
+      this.summary.hidden = errors.length === 0;
+    }
+    
+    /**
+     * Keep a visible summary in step with fields fixed (or broken) since submit
+     */
+    refreshSummary() {
+      if (this.summary.hidden) return;
+      
+      const errors = this.getFields()
+        .filter(field => field.getAttribute('aria-invalid') === 'true')
+        .map(field => ({ field, message: this.getErrorElement(field).textContent }));
+      
+      this.renderSummary(errors);
+    }
+    
+    handleSubmit(e) {
+      // The transport sends the message; the mailto action only serves
+      // visitors without JavaScript
+      e.preventDefault();
+      
+      if (this.isSending) return false;
+      
+      const errors = [];
+      
+      this.getFields().forEach(field => {
+        const validation = this.validateField(field);
+        if (!validation.isValid) {
+          errors.push({ field, message: validation.message });
+        }
+      });
+      
+      this.renderSummary(errors);
+      
+      if (errors.length) {
+        errors[0].field.focus();
+        return false;
+      }
+      
+      const rejection = this.spamGuard.check(this.getPayload());
+      if (rejection) {
+        if (rejection.code === 'spam-honeypot') this.form.reset();
+        this.showStatus(rejection.type, rejection.message, { code: rejection.code });
+        track('contact_failure', { transport: this.transportType, reason: rejection.code });
+        return false;
+      }
+      
+      this.send();
+    }
+    
+    getPayload() {
+      const data = new FormData(this.form);
+      return {
+        name: String(data.get('name') || '').trim(),
+        email: String(data.get('email') || '').trim(),
+        message: String(data.get('message') || '').trim()
+      };
+    }
+    
+    send() {
+      const payload = this.getPayload();
+      
+      // Only the mail client can send it, and there may be none: don't count
+      // it against the rate limit, and keep the draft for another try
+      if (this.transportType === 'mailto') {
+        return this.transport.send(payload).then(() => {
+          this.showStatus('success', t('contact.opening'));
+          track('contact_success', { transport: this.transportType });
+        });
+      }
+      
+      this.setPending(true);
+      this.showStatus('pending', t('contact.sending'), { persist: true });
+      
+      return this.transport.send(payload)
+        .then(() => {
+          this.spamGuard.record(payload);
+          this.draft.clear();
+          this.form.reset();
+          this.showStatus('success', t('contact.sent'));
+          track('contact_success', { transport: this.transportType });
+        })
+        .catch(error => {
+          track('contact_failure', { transport: this.transportType, reason: error.reason || 'unknown' });
+          this.showStatus('error', this.getErrorMessage(error), {
+            persist: true,
+            retry: () => this.send()
+          });
+        })
+        .finally(() => this.setPending(false));
+    }
+    
+    getErrorMessage(error) {
+      if (error.reason === 'timeout') {
+        return t('contact.timeout');
+      }
+      if (error.reason === 'network') {
+        return t('contact.network');
+      }
+      return t('contact.failed');
+    }
+    
+    setPending(isPending) {
+      this.isSending = isPending;
+      this.form.setAttribute('aria-busy', String(isPending));
+      if (this.submitButton) this.submitButton.disabled = isPending;
+    }
+    
+    /**
+     * Show a status message below the form
+     * @param {string} type - 'pending', 'success' or 'error'
+     * @param {string} message - Text to show
+     * @param {{persist: boolean, retry: Function, code: string}} options - Keep
+     *   the message visible instead of auto-hiding; offer a "Try again" button;
+     *   a specific outcome code (exposed as data-status, defaults to type)
+     */
+    showStatus(type, message, { persist = false, retry = null, code = type } = {}) {
+      const status = $(CONFIG.SELECTORS.formStatus);
+      if (!status) return;
+      
+      clearTimeout(this.statusTimer);
+      
+      status.className = `form-status form-status--${type}`;
+      status.dataset.status = code;
+      status.textContent = message;
+      status.setAttribute('role', type === 'error' ? 'alert' : 'status');
+      
+      if (retry) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'form-status__retry';
+        button.textContent = t('contact.retry');
+        button.addEventListener('click', retry, { once: true });
+        status.append(' ', button);
+      }
+      
+      if (persist) return;
+      
+      // Auto-hide after a few seconds
+      this.statusTimer = setTimeout(() => {
+        status.className = 'form-status';
+        status.textContent = '';
+        delete status.dataset.status;
+      }, CONFIG.STATUS_HIDE_DELAY);
+    }
+  }
+  
+  /* ==========================================
+     SMOOTH SCROLL
+     ========================================== */
+  class SmoothScroll {
+    constructor() {
+      this.init();
+    }
+    
+    init() {
+      // Smooth scroll for anchor links (delegated, so links in pages the
+      // router swaps in are covered too)
+      document.addEventListener('click', (e) => {
+        const anchor = e.target.closest('a[href^="#"]');
+        if (!anchor) return;
+        
+        const href = anchor.getAttribute('href');
+        
+        // Ignore if href is just "#"
+        if (href === '#') return;
+        
+        e.preventDefault();
+        
+        // By id rather than $(href): app routes like #project=<slug> aren't selectors
+        const target = document.getElementById(decodeURIComponent(href.slice(1)));
+        if (!target) return;
+        
+        scrollToElement(target);
+      });
+    }
+  }
+  
+  /* ==========================================
+     IMAGE LAZY LOADING OPTIMIZATION
+     ========================================== */
+  class ImageLoader {
+    constructor(context = document) {
+      this.images = $$('img[loading="lazy"]', context);
+      this.init();
+    }
+    
+    init() {
+      // Hide skeleton when image loads
+      this.images.forEach(img => {
+        if (img.complete) {
+          this.onImageLoad(img);
+        } else {
+          img.addEventListener('load', () => this.onImageLoad(img));
+          img.addEventListener('error', () => this.onImageError(img));
+        }
+      });
+    }
+    
+    onImageLoad(img) {
+      const skeleton = img.parentElement.querySelector('.skeleton');
+      if (skeleton) {
+        skeleton.style.display = 'none';
+      }
+      img.style.opacity = '0';
+      img.style.transition = 'opacity 0.3s ease-in';
+      setTimeout(() => {
+        img.style.opacity = '1';
+      }, 10);
+    }
+    
+    onImageError(img) {
+      const skeleton = img.parentElement.querySelector('.skeleton');
+      if (skeleton) {
+        skeleton.style.display = 'none';
+      }
+      // Optionally add error placeholder
+      setTranslatedAttribute(img, 'alt', 'images.failed');
+    }
+  }
+  
+  /* ==========================================
+     ENTERPRISE NAVIGATION EFFECTS
+     ========================================== */
+  class NavigationEffects {
+    constructor() {
+      this.nav = $(CONFIG.SELECTORS.nav);
+      this.init();
+    }
+    
+    init() {
+      if (!this.nav) return;
+      
+      // Add scrolled class on scroll (and check the initial position)
+      subscribeScroll(({ scrollY }) => {
+        this.nav.classList.toggle('scrolled', scrollY > 50);
+      }, { immediate: true });
+    }
+  }
+  
+  /* ==========================================
+     PARALLAX EFFECT ON HERO
+     ========================================== */
+  class ParallaxEffect {
+    constructor() {
+      this.hero = $('.hero');
+      this.heroContent = $('.hero__content');
+      this.heroVisual = $('.hero__visual');
+      this.unsubscribe = null;
+      this.init();
+    }
+    
+    init() {
+      if (!this.hero) return;
+      
+      if (!prefersReducedMotion()) this.start();
+      
+      onPageLeave(subscribeMotion((reduced) => {
+        if (reduced) {
+          this.stop();
+        } else {
+          this.start();
+        }
+      }));
+      onPageLeave(() => this.stop());
+    }
+    
+    start() {
+      if (this.unsubscribe) return;
+      this.unsubscribe = subscribeScroll(({ scrollY }) => this.updateParallax(scrollY), { immediate: true });
+    }
+    
+    // Stop following the scroll and put the hero back where it belongs
+    stop() {
+      if (!this.unsubscribe) return;
+      
+      this.unsubscribe();
+      this.unsubscribe = null;
+      
+      if (this.heroContent) {
+        this.heroContent.style.transform = '';
+        this.heroContent.style.opacity = '';
+      }
+      
+      if (this.heroVisual) {
+        this.heroVisual.style.transform = '';
+      }
+    }
+    
+    updateParallax(scrolled) {
+      const heroHeight = this.hero.offsetHeight;
+      
+      if (scrolled < heroHeight) {
+        const opacity = 1 - (scrolled / heroHeight);
+        const translateY = scrolled * 0.4;
+        
+        if (this.heroContent) {
+          this.heroContent.style.transform = `translateY(${translateY}px)`;
+          this.heroContent.style.opacity = opacity;
+        }
+        
+        if (this.heroVisual) {
+          this.heroVisual.style.transform = `translateY(${-translateY * 0.5}px)`;
+        }
+      }
+    }
+  }
+  
+  /* ==========================================
+     MAGNETIC BUTTON EFFECT (ENTERPRISE)
+     ========================================== */
+  class MagneticButtons {
+    constructor() {
+      this.buttons = $$('.btn--primary');
+      this.init();
+    }
+    
+    init() {
+      // Always listen; the preference can change while the page is open.
+      // The nav's button outlives the page, so its listeners go with it.
+      const signal = pageSignal();
+      this.buttons.forEach(btn => {
+        btn.addEventListener('mousemove', (e) => this.handleMouseMove(e, btn), { signal });
+        btn.addEventListener('mouseleave', (e) => this.handleMouseLeave(e, btn), { signal });
+      });
+    }
+    
+    handleMouseMove(e, btn) {
+      if (prefersReducedMotion()) {
+        btn.style.transform = '';
+        return;
+      }
+      
+      const rect = btn.getBoundingClientRect();
+      const x = e.clientX - rect.left - rect.width / 2;
+      const y = e.clientY - rect.top - rect.height / 2;
+      
+      const moveX = x * 0.3;
+      const moveY = y * 0.3;
+      
+      btn.style.transform = `translate(${moveX}px, ${moveY}px) scale(1.05)`;
+    }
+    
+    handleMouseLeave(e, btn) {
+      if (prefersReducedMotion()) {
+        btn.style.transform = '';
+        return;
+      }
+      
+      btn.style.transform = 'translate(0, 0) scale(1)';
+      btn.style.transition = 'transform 0.3s ease';
+      setTimeout(() => {
+        btn.style.transition = '';
+      }, 300);
+    }
+  }
+  
+  /* ==========================================
+     SMOOTH REVEAL FOR SECTIONS
+     ========================================== */
+  class SmoothReveal {
+    constructor() {
+      this.sections = $$('.section');
+      this.init();
+    }
+    
+    init() {
+      if (!('IntersectionObserver' in window)) return;
+      
+      const options = {
+        threshold: 0.15,
+        rootMargin: '0px 0px -100px 0px'
+      };
+      
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.reveal(entry.target);
+            observer.unobserve(entry.target);
+          }
+        });
+      }, options);
+      
+      this.sections.forEach(section => {
+        if (!prefersReducedMotion()) {
+          section.style.opacity = '0';
+          section.style.transform = 'translateY(40px)';
+          section.style.transition = 'opacity 0.8s ease-out, transform 0.8s ease-out';
+        }
+        observer.observe(section);
+      });
+      
+      // Show anything still hidden at once if motion gets reduced mid-visit
+      onPageLeave(subscribeMotion((reduced) => {
+        if (!reduced) return;
+        
+        this.sections.forEach(section => {
+          section.style.transition = 'none';
+          this.reveal(section);
+          observer.unobserve(section);
+        });
+      }));
+      onPageLeave(() => observer.disconnect());
+    }
+    
+    reveal(section) {
+      section.style.opacity = '1';
+      section.style.transform = 'translateY(0)';
+    }
+  }
+  
+  /* ==========================================
+     SCROLL SPY (ACTIVE NAV SECTION)
+     ========================================== */
+  class ScrollSpy {
+    constructor() {
+      this.links = Array.from($$(CONFIG.SELECTORS.navLinks));
+      this.visible = new Set();
+      this.observer = null;
+      this.activeId = null;
+      this.init();
+    }
+    
+    init() {
+      if (!this.links.length) return;
+      
+      // about.html and project pages belong to a section of the homepage
+      const owningSection = document.body.dataset.navSection;
+      if (owningSection) {
+        this.setActive(owningSection);
+        return;
+      }
+      
+      this.sections = this.links
+        .map(link => document.getElementById(this.getSectionId(link)))
+        .filter(Boolean);
+      
+      if (!this.sections.length || !('IntersectionObserver' in window)) return;
+      
+      this.observe();
+      
+      // The nav height (and so the observed band) changes across breakpoints
+      window.addEventListener('resize', debounce(() => this.observe(), 250), { signal: pageSignal() });
+      onPageLeave(() => this.observer.disconnect());
+    }
+    
+    /**
+     * Section a nav link points at: data-section, else the href's hash
+     * @param {Element} link - Nav link
+     * @returns {string}
+     */
+    getSectionId(link) {
+      return link.dataset.section || new URL(link.href, window.location.href).hash.slice(1);
+    }
+    
+    observe() {
+      if (this.observer) this.observer.disconnect();
+      this.visible.clear();
+      
+      // A section is current while it crosses a band just below the fixed nav
+      const options = {
+        rootMargin: `-${getNavOffset()}px 0px -55% 0px`,
+        threshold: 0
+      };
+      
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            this.visible.add(entry.target);
+          } else {
+            this.visible.delete(entry.target);
+          }
+        });
+        
+        // Topmost section in the band wins
+        const current = this.sections.find(section => this.visible.has(section));
+        this.setActive(current ? current.id : null, { updateHash: true });
+      }, options);
+      
+      this.sections.forEach(section => this.observer.observe(section));
+    }
+    
+    setActive(id, { updateHash = false } = {}) {
+      if (id === this.activeId) return;
+      this.activeId = id;
+      
+      this.links.forEach(link => {
+        const isActive = id !== null && this.getSectionId(link) === id;
+        link.classList.toggle('active', isActive);
+        
+        if (isActive) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+      
+      if (updateHash) this.updateHash(id);
+    }
+    
+    updateHash(id) {
+      // Leave deep links such as #project=<slug> alone
+      if (/^#project=/.test(window.location.hash)) return;
+      
+      const hash = id ? `#${id}` : '';
+      if (window.location.hash === hash) return;
+      
+      // replaceState changes the URL without scrolling or adding history
+      history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
+  }
+  
+  /* ==========================================
+     COMMAND PALETTE (CTRL/CMD+K)
+     ========================================== */
+  
+  /**
+   * Fuzzy-match a query against text: every query character must appear in
+   * order. Consecutive runs and word starts score higher.
+   * @param {string} query - Lowercase query without whitespace
+   * @param {string} text - Text to search
+   * @returns {{score: number, indices: Array<number>}|null}
+   */
+  const fuzzyMatch = (query, text) => {
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let streak = 0;
+    let from = 0;
+    
+    for (const char of query) {
+      const index = haystack.indexOf(char, from);
+      if (index === -1) return null;
+      
+      streak = index === from && indices.length ? streak + 1 : 0;
+      const wordStart = index === 0 || /[\s\-/&]/.test(haystack[index - 1]);
+      score += 1 + streak * 2 + (wordStart ? 3 : 0);
+      
+      indices.push(index);
+      from = index + 1;
+    }
+    
+    // Prefer shorter titles when the match is otherwise equal
+    return { score: score - haystack.length * 0.01, indices };
+  };
+  
+  /**
+   * Wrap matched characters in <mark> (escaping everything else)
+   * @param {string} text - Display text
+   * @param {Array<number>} indices - Matched character positions
+   * @returns {string}
+   */
+  const highlightMatch = (text, indices) => {
+    const matched = new Set(indices);
+    return Array.from(text)
+      .map((char, i) => matched.has(i) ? `<mark>${escapeHTML(char)}</mark>` : escapeHTML(char))
+      .join('');
+  };
+  
+  class CommandPalette {
+    constructor() {
+      this.commands = [];
+      this.results = [];
+      this.activeIndex = 0;
+      this.init();
+    }
+    
+    init() {
+      this.build();
+      this.dialog = new Dialog(this.palette, { initialFocus: this.input });
+      this.indexPage();
+      
+      // Projects come from the manifest, so they join the index when it loads
+      loadCatalog()
+        .then(catalog => {
+          this.catalog = catalog;
+          this.indexProjects(catalog);
+        })
+        .catch(() => {});
+      
+      // Titles are translated as they're indexed, so index again
+      subscribeLocale(() => {
+        this.commands = [];
+        this.indexPage();
+        if (this.catalog) this.indexProjects(this.catalog);
+        if (this.isOpen()) this.render();
+      });
+      
+      // Headings and nav links are per page
+      document.addEventListener('page:changed', () => {
+        this.commands = this.commands.filter(command => command.group !== 'sections');
+        this.indexPage();
+      });
+      
+      document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+          e.preventDefault();
+          this.isOpen() ? this.close() : this.open();
+        }
+      });
+      
+      this.input.addEventListener('input', () => {
+        this.activeIndex = 0;
+        this.render();
+      });
+      
+      this.palette.addEventListener('keydown', (e) => this.handleKeydown(e));
+      
+      this.list.addEventListener('click', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) this.run(this.results[Number(option.dataset.index)]);
+      });
+      
+      this.list.addEventListener('mousemove', (e) => {
+        const option = e.target.closest('[role="option"]');
+        if (option) this.setActive(Number(option.dataset.index));
+      });
+      
+      $('.command-palette__overlay', this.palette).addEventListener('click', () => this.close());
+    }
+    
+    // Built in script rather than markup so every page that loads main.js gets it
+    build() {
+      this.palette = document.createElement('div');
+      this.palette.className = 'command-palette';
+      this.palette.hidden = true;
+      this.palette.innerHTML = `
+        <div class="command-palette__overlay"></div>
+        <div class="command-palette__dialog" role="dialog" aria-modal="true" data-i18n-attr="aria-label:palette.label">
+          <input type="text" class="command-palette__input" data-i18n-attr="placeholder:palette.placeholder"
+                 role="combobox" aria-expanded="false" aria-autocomplete="list"
+                 aria-controls="command-palette-list" autocomplete="off" spellcheck="false">
+          <ul class="command-palette__list" id="command-palette-list" role="listbox" data-i18n-attr="aria-label:palette.commands"></ul>
+          <p class="command-palette__hint" aria-hidden="true">
+            <kbd>↑</kbd><kbd>↓</kbd> <span data-i18n="palette.hintSelect"></span> ·
+            <kbd>Enter</kbd> <span data-i18n="palette.hintOpen"></span> ·
+            <kbd>Esc</kbd> <span data-i18n="palette.hintClose"></span>
+          </p>
+        </div>
+      `;
+      translate(this.palette);
+      document.body.appendChild(this.palette);
+      
+      this.input = $('.command-palette__input', this.palette);
+      this.list = $('.command-palette__list', this.palette);
+    }
+    
+    /**
+     * Register a command
+     * @param {{id: string, group: string, title: string, keywords?: string, run: Function}} command
+     */
+    add(command) {
+      if (this.commands.some(existing => existing.id === command.id)) return;
+      this.commands.push(command);
+    }
+    
+    indexPage() {
+      // Headings on this page
+      $$('main h2').forEach((heading, i) => {
+        const title = heading.textContent.trim();
+        const section = heading.closest('section') || heading;
+        if (!title) return;
+        
+        this.add({
+          id: `heading:${window.location.pathname}:${i}`,
+          group: 'sections',
+          title,
+          keywords: section.id,
+          run: () => scrollToElement(section)
+        });
+      });
+      
+      // Homepage sections reached through the nav from other pages
+      $$(CONFIG.SELECTORS.navLinks).forEach(link => {
+        const url = new URL(link.href, window.location.href);
+        if (url.pathname === window.location.pathname && document.getElementById(url.hash.slice(1))) return;
+        
+        this.add({
+          id: `section:${url.hash}`,
+          group: 'sections',
+          title: link.textContent.trim(),
+          keywords: 'home',
+          run: () => visit(url.href)
+        });
+      });
+      
+      const themeToggle = $(CONFIG.SELECTORS.themeToggle);
+      if (themeToggle) {
+        this.add({
+          id: 'action:theme',
+          group: 'actions',
+          title: t('palette.toggleTheme'),
+          keywords: 'dark light system mode color',
+          run: () => themeToggle.click()
+        });
+      }
+      
+      const emailLink = $('a[href^="mailto:"]');
+      if (emailLink) {
+        const email = emailLink.getAttribute('href').slice('mailto:'.length).split('?')[0];
+        this.add({
+          id: 'action:copy-email',
+          group: 'actions',
+          title: t('palette.copyEmail'),
+          keywords: `contact mail ${email}`,
+          run: () => this.copyEmail(email)
+        });
+      }
+      
+      [['linkedin', 'LinkedIn'], ['github', 'GitHub']].forEach(([key, label]) => {
+        const link = $(`a[href*="${key}.com"]`);
+        if (!link) return;
+        
+        this.add({
+          id: `action:${key}`,
+          group: 'actions',
+          title: t('palette.open', { name: label }),
+          keywords: 'profile social',
+          run: () => window.open(link.href, '_blank', 'noopener')
+        });
+      });
+      
+      [['print', 'pdf cv download'], ['json', 'json resume cv download'], ['text', 'plain text cv ats copy']].forEach(([format, keywords]) => {
+        this.add({
+          id: `action:resume-${format}`,
+          group: 'actions',
+          title: t(`resume.${format}Command`),
+          keywords: `resume résumé ${keywords}`,
+          run: () => document.dispatchEvent(new CustomEvent('resume:export', { detail: { format } }))
+        });
+      });
+    }
+    
+    indexProjects(catalog) {
+      catalog.projects.forEach(project => {
+        const category = catalog.categories[project.category] || project.category;
+        const keywords = [category, project.employer, ...project.tags].join(' ');
+        
+        this.add({
+          id: `project:${project.slug}`,
+          group: 'projects',
+          title: project.title,
+          keywords,
+          run: () => openProject(project.slug)
+        });
+        
+        this.add({
+          id: `page:${project.slug}`,
+          group: 'caseStudies',
+          title: t('palette.caseStudy', { title: project.title }),
+          keywords,
+          run: () => visit(siteURL(project.url))
+        });
+      });
+      
+      if (this.isOpen()) this.render();
+    }
+    
+    copyEmail(email) {
+      const copied = navigator.clipboard
+        ? navigator.clipboard.writeText(email)
+        : Promise.reject(new Error('Clipboard unavailable'));
+      
+      copied
+        .then(() => showToast(t('palette.copied', { email })))
+        .catch(() => showToast(t('palette.copyFailed', { email })));
+    }
+    
+    /**
+     * Recently run command ids, newest first
+     * @returns {Array<string>}
+     */
+    getRecent() {
+      try {
+        const recent = JSON.parse(storage.get(CONFIG.STORAGE_COMMAND_RECENT));
+        return Array.isArray(recent) ? recent : [];
+      } catch (error) {
+        return [];
+      }
+    }
+    
+    remember(command) {
+      const recent = [command.id, ...this.getRecent().filter(id => id !== command.id)]
+        .slice(0, CONFIG.COMMAND_RECENT_LIMIT);
+      
+      // Storage full or blocked: the palette still works without recents
+      storage.set(CONFIG.STORAGE_COMMAND_RECENT, JSON.stringify(recent));
+    }
+    
+    /**
+     * Commands to show for the current query. An empty query lists recent
+     * commands first, then everything in registration order.
+     * @returns {Array<{command: Object, group: string, html: string}>}
+     */
+    search() {
+      const query = this.input.value.toLowerCase().replace(/\s+/g, '');
+      
+      if (!query) {
+        const recent = this.getRecent()
+          .map(id => this.commands.find(command => command.id === id))
+          .filter(Boolean)
+          .map(command => ({ command, group: 'recent', html: escapeHTML(command.title) }));
+        
+        const rest = CONFIG.COMMAND_GROUPS.flatMap(group => this.commands
+          .filter(command => command.group === group)
+          .map(command => ({ command, group, html: escapeHTML(command.title) })));
+        
+        return [...recent, ...rest];
+      }
+      
+      return this.commands
+        .map(command => {
+          const titleMatch = fuzzyMatch(query, command.title);
+          if (titleMatch) {
+            return { command, score: titleMatch.score, html: highlightMatch(command.title, titleMatch.indices) };
+          }
+          
+          // Keyword hits rank below any title hit
+          const keywordMatch = command.keywords && fuzzyMatch(query, command.keywords);
+          return keywordMatch
+            ? { command, score: keywordMatch.score / 10, html: escapeHTML(command.title) }
+            : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .map(result => ({ ...result, group: 'results' }));
+    }
+    
+    render() {
+      this.results = this.search();
+      this.activeIndex = Math.min(this.activeIndex, Math.max(this.results.length - 1, 0));
+      this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+      
+      if (!this.results.length) {
+        this.list.innerHTML = `<li class="command-palette__empty" role="presentation">${escapeHTML(t('palette.noMatches', { query: this.input.value.trim() }))}</li>`;
+        this.input.removeAttribute('aria-activedescendant');
+        return;
+      }
+      
+      let currentGroup = null;
+      this.list.innerHTML = this.results.map((result, i) => {
+        const heading = result.group !== currentGroup
+          ? `<li class="command-palette__group" role="presentation">${escapeHTML(t(`palette.groups.${result.group}`))}</li>`
+          : '';
+        currentGroup = result.group;
+        
+        return `${heading}
+          <li class="command-palette__option" id="command-palette-option-${i}" role="option"
+              data-index="${i}" aria-selected="false">
+            <span class="command-palette__title">${result.html}</span>
+            <span class="command-palette__type">${escapeHTML(t(`palette.groups.${result.command.group}`))}</span>
+          </li>`;
+      }).join('');
+      
+      this.setActive(this.activeIndex);
+    }
+    
+    setActive(index) {
+      const options = $$('[role="option"]', this.list);
+      if (!options.length) return;
+      
+      this.activeIndex = (index + options.length) % options.length;
+      
+      options.forEach((option, i) => {
+        option.setAttribute('aria-selected', String(i === this.activeIndex));
+      });
+      
+      const active = options[this.activeIndex];
+      this.input.setAttribute('aria-activedescendant', active.id);
+      if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    }
+    
+    handleKeydown(e) {
+      // Home/End move the caret in a query; they pick the first/last
+      // command only with an empty query or Ctrl/Cmd held
+      const listKeys = !this.input.value || e.ctrlKey || e.metaKey;
+      
+      const actions = {
+        ArrowDown: () => this.setActive(this.activeIndex + 1),
+        ArrowUp: () => this.setActive(this.activeIndex - 1),
+        Home: listKeys ? () => this.setActive(0) : null,
+        End: listKeys ? () => this.setActive(this.results.length - 1) : null,
+        Enter: () => this.run(this.results[this.activeIndex])
+      };
+      
+      const action = actions[e.key];
+      if (!action) return;
+      
+      // Keep page-level shortcuts (modal arrows) from firing underneath
+      e.preventDefault();
+      e.stopPropagation();
+      action();
+    }
+    
+    run(result) {
+      if (!result) return;
+      
+      this.remember(result.command);
+      this.close();
+      result.command.run();
+    }
+    
+    isOpen() {
+      return this.dialog.isOpen();
+    }
+    
+    open() {
+      this.input.value = '';
+      this.activeIndex = 0;
+      this.render();
+      this.dialog.open();
+    }
+    
+    close() {
+      this.dialog.close();
+    }
+  }
+  
+  /* ==========================================
+     RÉSUMÉ EXPORT
+     ========================================== */
+  
+  let resumeRequest = null;
+  
+  /**
+   * Fetch and parse a page of the site
+   * @param {string} url - Absolute URL
+   * @returns {Promise<Document>}
+   */
+  const fetchDocument = (url) => {
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`${url} request failed (${response.status})`);
+        return response.text();
+      })
+      .then(html => new DOMParser().parseFromString(html, 'text/html'));
+  };
+  
+  const textOf = (el) => (el ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+  
+  // Drop empty fields, which JSON Resume themes would otherwise render
+  const compact = (entry) => Object.fromEntries(Object.entries(entry).filter(([, value]) => {
+    return value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && !value.length);
+  }));
+  
+  /**
+   * "2024 - Present" → { startDate: '2024', endDate: null }
+   * @param {string} text - Timeline date
+   * @returns {{startDate: string, endDate: string|null}}
+   */
+  const parseYearRange = (text) => {
+    const [start, end = ''] = text.split(/\s*[-–]\s*/);
+    return { startDate: start, endDate: /^\d{4}$/.test(end) ? end : null };
+  };
+  
+  /**
+   * The résumé as JSON Resume (https://jsonresume.org/schema), read from
+   * the homepage (summary, skills, contact links), the about page's journey
+   * (marked up with data-resume="work|education") and the project catalog
+   * @param {Document} home - index.html
+   * @param {Document} about - about.html
+   * @param {Object} catalog - data/projects.json
+   * @returns {Object}
+   */
+  const buildResume = (home, about, catalog) => {
+    const email = $('a[href^="mailto:"]', home);
+    const profiles = [['LinkedIn', 'linkedin.com'], ['GitHub', 'github.com']]
+      .map(([network, host]) => [network, $(`a[href*="${host}"]`, home)])
+      .filter(([, link]) => link)
+      .map(([network, link]) => {
+        const url = link.getAttribute('href');
+        return { network, username: new URL(url).pathname.split('/').filter(Boolean).pop(), url };
+      });
+    
+    // The homepage's timeline describes the roles the about page lists
+    const roles = Array.from($$('.about__timeline-item', home)).map(item => ({
+      company: textOf($('.about__timeline-company', item)),
+      summary: textOf($('.about__timeline-description', item))
+    }));
+    const journey = (type) => Array.from($$(`[data-resume="${type}"]`, about)).map(item => ({
+      title: textOf($('h3', item)),
+      place: textOf($('.timeline-item__content p', item)),
+      ...parseYearRange(textOf($('.timeline-item__date', item)))
+    }));
+    
+    const skills = Array.from($$('.skill-item', home)).map(item => compact({
+      name: textOf($('.skill-item__name', item)),
+      level: textOf($('.skill-item__level', item)),
+      // Not in the schema, which allows extra fields; themes ignore it
+      years: textOf($('.skill-item__years', item)),
+      keywords: textOf($('.skill-item__description', item)).split(/,\s*/).filter(Boolean)
+    }));
+    const tools = Array.from($$('.tech-icon__label', home)).map(textOf);
+    if (tools.length) skills.push({ name: textOf($('.tech-stack__title', home)), keywords: tools });
+    
+    return {
+      $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+      basics: compact({
+        name: textOf($('.hero__title-line', home)),
+        label: Array.from($$('.hero__subtitle-highlight', home)).map(textOf).join(' & '),
+        email: email ? email.getAttribute('href').slice('mailto:'.length).split('?')[0] : '',
+        url: siteURL(''),
+        summary: Array.from($$('.about__summary-text', home)).map(textOf).join(' '),
+        profiles
+      }),
+      work: journey('work').map(({ title, place, startDate, endDate }) => {
+        const role = roles.find(item => item.company === place);
+        return compact({ name: place, position: title, startDate, endDate, summary: role && role.summary });
+      }),
+      projects: catalog.projects.map(project => compact({
+        name: project.title,
+        description: project.summary,
+        // "employer" is either a company or a label like "Capstone Project"
+        ...(/\bproject$/i.test(project.employer || '') ? { type: project.employer } : { entity: project.employer }),
+        startDate: project.dates && project.dates.start,
+        endDate: project.dates && project.dates.end,
+        url: siteURL(project.url),
+        // "Uptime" → "99.5% uptime", but "AI tools exposed" keeps its capitals
+        highlights: (project.metrics || []).map(metric => `${metric.value} ${metric.label.replace(/^[A-Z](?=[a-z])/, letter => letter.toLowerCase())}`),
+        keywords: project.stack
+      })),
+      skills,
+      education: journey('education').map(({ title, place, startDate, endDate }) => {
+        // "B.Tech in ECE"
+        const [studyType, area] = title.split(/\s+in\s+/);
+        return compact({ institution: place, studyType, area, startDate, endDate });
+      })
+    };
+  };
+  
+  /**
+   * Fetch the source pages and build the résumé (once per page view)
+   * @returns {Promise<Object>} JSON Resume
+   */
+  const loadResume = () => {
+    if (!resumeRequest) {
+      resumeRequest = Promise.all([
+        fetchDocument(siteURL(CONFIG.RESUME_SOURCES.home)),
+        fetchDocument(siteURL(CONFIG.RESUME_SOURCES.about)),
+        loadCatalog()
+      ])
+        .then(([home, about, catalog]) => buildResume(home, about, catalog))
+        .catch(error => {
+          resumeRequest = null;
+          throw error;
+        });
+    }
+    return resumeRequest;
+  };
+  
+  // The résumé is content, like the case studies, so it stays in English
+  const formatResumeDate = (date) => {
+    if (!/^\d{4}-\d{2}$/.test(date)) return date;
+    
+    const [year, month] = date.split('-').map(Number);
+    return new Date(year, month - 1).toLocaleDateString('en', { month: 'short', year: 'numeric' });
+  };
+  
+  const formatResumeRange = ({ startDate, endDate }) => {
+    if (!startDate) return '';
+    return `${formatResumeDate(startDate)} – ${endDate ? formatResumeDate(endDate) : 'Present'}`;
+  };
+  
+  const withoutProtocol = (url) => url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+  
+  const skillDetails = (skill) => [skill.level, skill.years].filter(Boolean).join(', ');
+  
+  /**
+   * @param {Object} resume - JSON Resume
+   * @returns {string} Markup for the print view
+   */
+  const renderResumeHTML = ({ basics, work, projects, skills, education }) => {
+    const contact = [
+      basics.email,
+      basics.url && withoutProtocol(basics.url),
+      ...(basics.profiles || []).map(profile => withoutProtocol(profile.url))
+    ].filter(Boolean);
+    
+    const entry = (heading, dates, body) => `
+      <div class="resume__entry">
+        <div class="resume__entry-header">
+          <h3 class="resume__entry-title">${heading}</h3>
+          <span class="resume__dates">${escapeHTML(dates)}</span>
+        </div>
+        ${body}
+      </div>
+    `;
+    
+    const section = (title, content) => (content ? `
+      <section class="resume__section">
+        <h2 class="resume__heading">${title}</h2>
+        ${content}
+      </section>
+    ` : '');
+    
+    return `
+      <header class="resume__header">
+        <h1 class="resume__name">${escapeHTML(basics.name)}</h1>
+        <p class="resume__label">${escapeHTML(basics.label || '')}</p>
+        <p class="resume__contact">${contact.map(escapeHTML).join(' · ')}</p>
+      </header>
+      ${section('Summary', basics.summary ? `<p>${escapeHTML(basics.summary)}</p>` : '')}
+      ${section('Experience', work.map(job => entry(
+        `${escapeHTML(job.position)}, ${escapeHTML(job.name)}`,
+        formatResumeRange(job),
+        job.summary ? `<p>${escapeHTML(job.summary)}</p>` : ''
+      )).join(''))}
+      ${section('Projects', projects.map(project => entry(
+        `${escapeHTML(project.name)}${project.entity || project.type ? ` <span class="resume__entity">— ${escapeHTML(project.entity || project.type)}</span>` : ''}`,
+        formatResumeRange(project),
+        `<p>${escapeHTML(project.description)}</p>
+         ${project.highlights ? `<ul class="resume__highlights">${project.highlights.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>` : ''}
+         ${project.keywords ? `<p class="resume__keywords">${escapeHTML(project.keywords.join(', '))}</p>` : ''}`
+      )).join(''))}
+      ${section('Skills', skills.length ? `<dl class="resume__skills">${skills.map(skill => `
+        <div class="resume__skill">
+          <dt>${escapeHTML(skill.name)}${skillDetails(skill) ? ` <span class="resume__level">(${escapeHTML(skillDetails(skill))})</span>` : ''}</dt>
+          <dd>${escapeHTML((skill.keywords || []).join(', '))}</dd>
+        </div>
+      `).join('')}</dl>` : '')}
+      ${section('Education', education.map(school => entry(
+        escapeHTML([school.studyType, school.area].filter(Boolean).join(' in ')),
+        formatResumeRange(school),
+        `<p>${escapeHTML(school.institution)}</p>`
+      )).join(''))}
+    `;
+  };
+  
+  /**
+   * Plain text for pasting into application forms: no columns or
+   * symbols an ATS might mangle, one fact per line
+   * @param {Object} resume - JSON Resume
+   * @returns {string}
+   */
+  const renderResumeText = ({ basics, work, projects, skills, education }) => {
+    const lines = [
+      basics.name.toUpperCase(),
+      basics.label,
+      basics.email,
+      basics.url,
+      ...(basics.profiles || []).map(profile => `${profile.network}: ${profile.url}`)
+    ].filter(Boolean);
+    
+    // Entries of more than one line are separated by a blank line
+    const section = (title, entries) => {
+      if (!entries.length) return;
+      
+      lines.push('', title.toUpperCase());
+      entries.forEach((entry, index) => {
+        const entryLines = [].concat(entry).filter(Boolean);
+        if (index > 0 && entryLines.length > 1) lines.push('');
+        lines.push(...entryLines);
+      });
+    };
+    
+    const dates = (item) => (item.startDate ? ` (${formatResumeRange(item)})` : '');
+    
+    section('Summary', basics.summary ? [basics.summary] : []);
+    section('Experience', work.map(job => [`${job.position}, ${job.name}${dates(job)}`, job.summary]));
+    section('Projects', projects.map(project => [
+      `${project.name}${project.entity || project.type ? `, ${project.entity || project.type}` : ''}${dates(project)}`,
+      project.description,
+      ...(project.highlights || []).map(item => `- ${item}`),
+      project.keywords && `Stack: ${project.keywords.join(', ')}`
+    ]));
+    section('Skills', skills.map(skill => {
+      const details = skillDetails(skill);
+      return `${skill.name}${details ? ` (${details})` : ''}: ${(skill.keywords || []).join(', ')}`;
+    }));
+    section('Education', education.map(school => [
+      `${[school.studyType, school.area].filter(Boolean).join(' in ')}, ${school.institution}${dates(school)}`
+    ]));
+    
+    return `${lines.join('\n')}\n`;
+  };
+  
+  /**
+   * "Download résumé" buttons ([data-resume-export="print|json|text"],
+   * revealed from [data-resume-actions]) and "resume:export" events from
+   * the command palette. print opens the browser's print dialog on a
+   * print-only view (css/resume-print.css), json downloads JSON Resume and
+   * text copies a plain-text version (or downloads it without clipboard
+   * access).
+   */
+  class ResumeExport {
+    constructor() {
+      this.sheet = null;
+      this.pageTitle = document.title;
+      this.init();
+    }
+    
+    init() {
+      const showActions = () => $$('[data-resume-actions]').forEach(el => { el.hidden = false; });
+      showActions();
+      
+      // The about page can also arrive through the router
+      document.addEventListener('page:changed', showActions);
+      
+      document.addEventListener('click', (e) => {
+        const trigger = e.target.closest('[data-resume-export]');
+        if (trigger) this.export(trigger.dataset.resumeExport);
+      });
+      document.addEventListener('resume:export', (e) => this.export(e.detail.format));
+      
+      window.addEventListener('afterprint', () => this.removeSheet());
+    }
+    
+    /**
+     * @param {string} format - 'print', 'json' or 'text'
+     */
+    export(format) {
+      track('resume_export', { format });
+      
+      loadResume()
+        .then(resume => {
+          if (format === 'print') {
+            this.print(resume);
+          } else if (format === 'json') {
+            this.download(resume, 'json', `${JSON.stringify(resume, null, 2)}\n`);
+          } else {
+            this.copyText(resume);
+          }
+        })
+        .catch(() => showToast(t('resume.failed')));
+    }
+    
+    print(resume) {
+      this.removeSheet();
+      
+      this.sheet = document.createElement('article');
+      this.sheet.className = 'resume';
+      this.sheet.lang = 'en';
+      this.sheet.innerHTML = renderResumeHTML(resume);
+      document.body.appendChild(this.sheet);
+      
+      // Only the résumé is printed while this is set (see css/resume-print.css),
+      // and browsers suggest the title as the PDF's name
+      document.documentElement.dataset.print = 'resume';
+      this.pageTitle = document.title;
+      document.title = `${resume.basics.name} — Résumé`;
+      window.print();
+    }
+    
+    removeSheet() {
+      if (!this.sheet) return;
+      
+      this.sheet.remove();
+      this.sheet = null;
+      delete document.documentElement.dataset.print;
+      document.title = this.pageTitle;
+    }
+    
+    /**
+     * Save a file named after the résumé's owner, e.g. "vaishnavi-n-resume.json"
+     * @param {Object} resume - JSON Resume
+     * @param {string} extension - 'json' or 'txt'
+     * @param {string} content - File contents
+     */
+    download(resume, extension, content) {
+      const types = { json: 'application/json', txt: 'text/plain' };
+      const url = URL.createObjectURL(new Blob([content], { type: `${types[extension]};charset=utf-8` }));
+      const link = document.createElement('a');
+      
+      link.href = url;
+      link.download = `${resume.basics.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-resume.${extension}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    copyText(resume) {
+      const text = renderResumeText(resume);
+      const copied = navigator.clipboard
+        ? navigator.clipboard.writeText(text)
+        : Promise.reject(new Error('Clipboard unavailable'));
+      
+      copied
+        .then(() => showToast(t('resume.copied')))
+        .catch(() => {
+          this.download(resume, 'txt', text);
+          showToast(t('resume.downloaded'));
+        });
+    }
+  }
+  
+  /* ==========================================
+     HERO TERMINAL
+     ========================================== */
+  
+  /**
+   * Terminal text with inline tones: "Status: {success:Connected}". Known
+   * tones map to .hero__terminal-<tone> spans; everything else is escaped.
+   * @param {string} text - Line from the script or a command
+   * @returns {string}
+   */
+  const renderTerminalText = (text) => {
+    return escapeHTML(text).replace(/\{(highlight|success|metric|error):([^}]*)\}/g,
+      (match, tone, content) => `<span class="hero__terminal-${tone}">${content}</span>`);
+  };
+  
+  /**
+   * Commands visitors can type. Each has a one-line description for `help`
+   * (a dictionary key) and run(args, terminal), which returns output lines
+   * (or a promise of them). Lines use the same {tone:text} markup as the
+   * scripted sessions.
+   */
+  const TERMINAL_COMMANDS = {};
+  
+  /**
+   * Register a terminal command
+   * @param {string} name - What the visitor types
+   * @param {{usage?: string, description: string, run: Function}} command - Command definition
+   *   (description is a key; {modes} is filled in with the theme modes)
+   */
+  const registerTerminalCommand = (name, command) => {
+    TERMINAL_COMMANDS[name] = { usage: name, ...command };
+  };
+  
+  registerTerminalCommand('help', {
+    description: 'terminal.commands.help',
+    run: () => Object.values(TERMINAL_COMMANDS)
+      .map(command => `{highlight:${command.usage.padEnd(16)}} ${t(command.description, { modes: CONFIG.THEME_CYCLE.join(', ') })}`)
+  });
+  
+  registerTerminalCommand('projects', {
+    description: 'terminal.commands.projects',
+    run: () => loadProjects().then(projects => projects
+      .map(project => `{highlight:${project.slug.padEnd(16)}} ${project.title}`)
+      .concat(t('terminal.openHint')))
+  });
+  
+  registerTerminalCommand('skills', {
+    description: 'terminal.commands.skills',
+    run: () => {
+      const skills = Array.from($$('.skill-item'));
+      if (!skills.length) return [t('terminal.skillsElsewhere')];
+      
+      return skills.map(item => {
+        const name = $('.skill-item__name', item).textContent.trim();
+        const level = $('.skill-item__level', item);
+        return `${name.padEnd(22)} {metric:${level ? level.textContent.trim() : ''}}`;
+      });
+    }
+  });
+  
+  registerTerminalCommand('open', {
+    usage: 'open <project>',
+    description: 'terminal.commands.open',
+    run: (args) => {
+      const query = args.join(' ').toLowerCase();
+      if (!query) return [t('terminal.openUsage')];
+      
+      return loadProjects().then(projects => {
+        const project = projects.find(p => p.slug === query) || projects
+          .map(p => ({ project: p, match: fuzzyMatch(query.replace(/\s+/g, ''), p.title) }))
+          .filter(result => result.match)
+          .sort((a, b) => b.match.score - a.match.score)
+          .map(result => result.project)[0];
+        
+        if (!project) return [t('terminal.noProject', { query })];
+        
+        openProject(project.slug);
+        return [t('terminal.opening', { title: project.title })];
+      });
+    }
+  });
+  
+  registerTerminalCommand('theme', {
+    usage: 'theme <mode>',
+    description: 'terminal.commands.theme',
+    run: ([preference]) => {
+      const current = document.documentElement.getAttribute('data-theme-preference') || 'system';
+      if (!preference) return [t('terminal.currentTheme', { theme: current })];
+      
+      if (!CONFIG.THEME_CYCLE.includes(preference)) {
+        return [t('terminal.unknownTheme', { theme: preference, modes: CONFIG.THEME_CYCLE.join(', ') })];
+      }
+      
+      document.dispatchEvent(new CustomEvent('theme:set', { detail: { preference } }));
+      return [t('terminal.themeSet', { theme: preference })];
+    }
+  });
+  
+  registerTerminalCommand('contact', {
+    description: 'terminal.commands.contact',
+    run: () => {
+      const lines = [];
+      const email = $('a[href^="mailto:"]');
+      const linkedIn = $('a[href*="linkedin.com"]');
+      const gitHub = $('a[href*="github.com"]');
+      
+      if (email) lines.push(`${t('terminal.email').padEnd(10)}{highlight:${email.getAttribute('href').slice('mailto:'.length)}}`);
+      if (linkedIn) lines.push(`LinkedIn  {highlight:${linkedIn.href.replace(/^https?:\/\//, '')}}`);
+      if (gitHub) lines.push(`GitHub    {highlight:${gitHub.href.replace(/^https?:\/\//, '')}}`);
+      
+      const section = document.getElementById('contact');
+      if (section) {
+        lines.push(t('terminal.toContact'));
+        setTimeout(() => scrollToElement(section), CONFIG.TERMINAL_LINE_DELAY);
+      }
       
-      this.animatedElements.forEach(el => observer.observe(el));
+      return lines;
+    }
+  });
+  
+  registerTerminalCommand('clear', {
+    description: 'terminal.commands.clear',
+    run: (args, terminal) => {
+      terminal.clear();
+      return [];
+    }
+  });
+  
+  /**
+   * Random walk for the sidebar's CPU/MEM/GPU meters and network graph.
+   * Seeded, so every visit (and every test run) plays the same sequence.
+   */
+  class MetricsSimulator {
+    /**
+     * @param {number} seed - PRNG seed
+     * @param {Object<string, number>} baselines - Resting value (0-100) per metric
+     */
+    constructor(seed, baselines) {
+      this.random = createRandom(seed);
+      this.baselines = baselines;
+      this.values = { ...baselines };
+    }
+    
+    /**
+     * Advance one tick
+     * @returns {Object<string, number>} Whole-number percentages per metric
+     */
+    next() {
+      Object.keys(this.values).forEach(key => {
+        const drift = (this.random() - 0.5) * CONFIG.TERMINAL_METRIC_VOLATILITY;
+        const pull = (this.baselines[key] - this.values[key]) * 0.3;
+        this.values[key] = Math.min(Math.max(this.values[key] + drift + pull, 5), 100);
+      });
+      
+      return Object.fromEntries(Object.entries(this.values).map(([key, value]) => [key, Math.round(value)]));
     }
   }
   
-  /* ==========================================
-     SKILL METER ANIMATIONS
-     ========================================== */
-  class SkillAnimations {
+  /**
+   * The hero's terminal card. Loops through scripted sessions from
+   * data/terminal.json (typed commands, output lines, pauses) until a
+   * visitor focuses the prompt, then runs TERMINAL_COMMANDS instead.
+   */
+  class HeroTerminal {
     constructor() {
-      this.skillBars = $$(CONFIG.SELECTORS.skillBars);
-      this.animated = new Set();
+      this.card = $('.hero__card--terminal');
+      this.output = this.card ? $('.hero__terminal-output', this.card) : null;
+      this.timer = null;
+      this.interactive = false;
+      this.history = [];
+      this.historyIndex = 0;
+      
+      if (!this.output) return;
+      
       this.init();
     }
     
     init() {
-      if (!('IntersectionObserver' in window) || prefersReducedMotion()) {
-        // Fallback: show all bars immediately
-        this.skillBars.forEach(bar => bar.classList.add('animated'));
+      const signal = pageSignal();
+      
+      fetch(siteURL(CONFIG.TERMINAL_SCRIPT))
+        .then(response => {
+          if (!response.ok) throw new Error(`Terminal script request failed (${response.status})`);
+          return response.json();
+        })
+        .then(script => {
+          if (signal.aborted) return;
+          
+          this.script = script;
+          this.prompt = script.prompt;
+          this.build();
+          this.startMetrics(script.metrics);
+          
+          this.startDemo();
+          onPageLeave(subscribeMotion(() => this.startDemo()));
+          onPageLeave(() => clearTimeout(this.timer));
+        })
+        .catch(() => {
+          // Keep the static transcript from the markup
+        });
+    }
+    
+    build() {
+      this.output.innerHTML = `
+        <div class="hero__terminal-log" role="log" aria-live="off" aria-hidden="true"></div>
+        <form class="hero__terminal-form">
+          <label for="terminal-input" class="visually-hidden" data-i18n="terminal.label"></label>
+          <span class="hero__terminal-prompt" aria-hidden="true">${escapeHTML(this.prompt)}</span>
+          <input type="text" id="terminal-input" class="hero__terminal-input"
+                 autocomplete="off" autocapitalize="off" spellcheck="false">
+        </form>
+      `;
+      translate(this.output);
+      this.output.removeAttribute('aria-hidden');
+      this.output.classList.add('hero__terminal-output--live');
+      
+      this.log = $('.hero__terminal-log', this.output);
+      this.form = $('.hero__terminal-form', this.output);
+      this.input = $('.hero__terminal-input', this.output);
+      
+      // Clicking anywhere on the output focuses the prompt
+      this.output.addEventListener('click', () => this.input.focus());
+      this.input.addEventListener('focus', () => this.startInteractive());
+      this.input.addEventListener('keydown', (e) => this.handleHistory(e));
+      this.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submit();
+      });
+    }
+    
+    /**
+     * Append a line, dropping the oldest beyond the line limit (the
+     * scripted demo keeps a screenful; visitors get scrollback)
+     * @param {string} html - Line content
+     */
+    appendLine(html) {
+      const line = document.createElement('div');
+      line.className = 'hero__terminal-line';
+      line.innerHTML = html;
+      this.log.appendChild(line);
+      
+      const limit = this.interactive ? CONFIG.TERMINAL_SCROLLBACK : CONFIG.TERMINAL_MAX_LINES;
+      while (this.log.children.length > limit) {
+        this.log.firstElementChild.remove();
+      }
+      
+      this.log.scrollTop = this.log.scrollHeight;
+    }
+    
+    printCommand(command) {
+      this.appendLine(`
+        <span class="hero__terminal-prompt">${escapeHTML(this.prompt)}</span>
+        <span class="hero__terminal-command">${escapeHTML(command)}</span>
+      `);
+    }
+    
+    printOutput(text) {
+      this.appendLine(`<span class="hero__terminal-output-text">${renderTerminalText(text)}</span>`);
+    }
+    
+    clear() {
+      this.log.innerHTML = '';
+    }
+    
+    // (Re)start the scripted demo for the current motion preference
+    startDemo() {
+      if (this.interactive) return;
+      
+      clearTimeout(this.timer);
+      this.input.value = '';
+      
+      if (prefersReducedMotion()) {
+        this.clear();
+        this.showTranscript(this.script.sessions[0]);
+      } else {
+        this.playSession(0);
+      }
+    }
+    
+    // Reduced motion: the whole session at once, no typing and no loop
+    showTranscript(session) {
+      session.steps.forEach(step => {
+        if (step.command) this.printCommand(step.command);
+        if (step.output) this.printOutput(step.output);
+      });
+    }
+    
+    playSession(index) {
+      const sessions = this.script.sessions;
+      const session = sessions[index % sessions.length];
+      
+      this.clear();
+      this.playStep(session.steps, 0, () => {
+        this.timer = setTimeout(() => this.playSession(index + 1), CONFIG.TERMINAL_SESSION_PAUSE);
+      });
+    }
+    
+    playStep(steps, index, done) {
+      if (this.interactive) return;
+      if (index >= steps.length) {
+        done();
         return;
       }
       
-      const options = {
-        threshold: 0.5,
-        rootMargin: '0px'
-      };
+      const step = steps[index];
+      const next = () => this.playStep(steps, index + 1, done);
       
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting && !this.animated.has(entry.target)) {
-            this.animateSkillBar(entry.target);
-            this.animated.add(entry.target);
-            observer.unobserve(entry.target);
-          }
+      if (step.command) {
+        this.typeCommand(step.command, 0, () => {
+          this.input.value = '';
+          this.printCommand(step.command);
+          this.timer = setTimeout(next, CONFIG.TERMINAL_LINE_DELAY);
         });
-      }, options);
+      } else if (step.output) {
+        this.printOutput(step.output);
+        this.timer = setTimeout(next, CONFIG.TERMINAL_LINE_DELAY);
+      } else {
+        this.timer = setTimeout(next, step.pause || 0);
+      }
+    }
+    
+    // "Type" into the prompt a character at a time, with a little jitter
+    typeCommand(command, length, done) {
+      if (this.interactive) return;
       
-      this.skillBars.forEach(bar => observer.observe(bar));
+      this.input.value = command.slice(0, length);
+      if (length >= command.length) {
+        this.timer = setTimeout(done, CONFIG.TERMINAL_LINE_DELAY);
+        return;
+      }
+      
+      const delay = CONFIG.TERMINAL_TYPE_DELAY * (0.5 + Math.random());
+      this.timer = setTimeout(() => this.typeCommand(command, length + 1, done), delay);
     }
     
-    animateSkillBar(bar) {
-      // Add animated class to trigger CSS transition
-      setTimeout(() => {
-        bar.classList.add('animated');
-      }, 100);
+    startInteractive() {
+      if (this.interactive) return;
+      
+      this.interactive = true;
+      clearTimeout(this.timer);
+      
+      this.input.value = '';
+      this.clear();
+      this.log.removeAttribute('aria-hidden');
+      this.log.setAttribute('aria-live', 'polite');
+      this.printOutput(t('terminal.welcome'));
+    }
+    
+    submit() {
+      const raw = this.input.value.trim();
+      this.input.value = '';
+      this.printCommand(raw);
+      if (!raw) return;
+      
+      this.history.push(raw);
+      this.historyIndex = this.history.length;
+      
+      const [name, ...args] = raw.split(/\s+/);
+      const command = TERMINAL_COMMANDS[name.toLowerCase()];
+      
+      if (!command) {
+        this.printOutput(t('terminal.notFound', { name }));
+        return;
+      }
+      
+      Promise.resolve()
+        .then(() => command.run(args, this))
+        .then(lines => lines.forEach(line => this.printOutput(line)))
+        .catch(() => this.printOutput(t('terminal.failed')));
+    }
+    
+    // Up/Down walk through previously entered commands
+    handleHistory(e) {
+      if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+      if (!this.history.length) return;
+      
+      e.preventDefault();
+      const step = e.key === 'ArrowUp' ? -1 : 1;
+      this.historyIndex = Math.min(Math.max(this.historyIndex + step, 0), this.history.length);
+      this.input.value = this.history[this.historyIndex] || '';
+    }
+    
+    startMetrics({ seed, baselines }) {
+      const sidebar = $('.hero__terminal-sidebar', this.card);
+      if (!sidebar) return;
+      
+      this.simulator = new MetricsSimulator(seed, baselines);
+      this.networkBars = Array.from($$('[data-metric="network"] .hero__network-bar', sidebar));
+      this.networkHistory = this.networkBars.map(() => this.simulator.next().network);
+      sidebar.classList.add('hero__terminal-sidebar--live');
+      
+      this.renderMetrics(this.simulator.next());
+      
+      // Skip ticks rather than stopping, so the preference can change live
+      const timer = setInterval(() => {
+        if (!document.hidden && !prefersReducedMotion()) this.renderMetrics(this.simulator.next());
+      }, CONFIG.TERMINAL_METRICS_INTERVAL);
+      onPageLeave(() => clearInterval(timer));
+    }
+    
+    renderMetrics(values) {
+      $$('.hero__metric-item[data-metric]', this.card).forEach(item => {
+        const value = values[item.dataset.metric];
+        if (value === undefined) return;
+        
+        $('.hero__metric-fill', item).style.setProperty('--percentage', `${value}%`);
+        $('.hero__metric-value', item).textContent = `${value}%`;
+      });
+      
+      // The graph scrolls: newest sample on the right
+      this.networkHistory = [...this.networkHistory.slice(1), values.network];
+      this.networkBars.forEach((bar, i) => {
+        bar.style.setProperty('--height', `${this.networkHistory[i]}%`);
+      });
     }
   }
   
   /* ==========================================
-     ANIMATED COUNTER FOR STATISTICS
+     ANALYTICS SINKS
      ========================================== */
-  class CounterAnimations {
+  
+  /**
+   * Sinks receive batches of events: send(events), where each event is
+   * {name, properties, path, locale, time}. Fire-and-forget; a lost batch
+   * is never retried.
+   */
+  
+  // Development: log batches instead of sending them anywhere
+  class ConsoleSink {
+    /**
+     * @param {{label: string}} [options] - What the batches are, for the log
+     */
+    constructor({ label = 'Analytics' } = {}) {
+      this.label = label;
+    }
+    
+    send(events) {
+      console.log(`📊 ${this.label}: ${events.length} event(s)`, events);
+    }
+  }
+  
+  class BeaconSink {
+    /**
+     * @param {{endpoint: string}} options - URL batches are POSTed to
+     */
+    constructor({ endpoint }) {
+      this.endpoint = endpoint;
+    }
+    
+    send(events) {
+      // A string body goes out as text/plain, which needs no CORS preflight
+      const body = JSON.stringify({ events });
+      if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+      
+      // No Beacon API, or its queue is full: a keepalive fetch also outlives the page
+      fetch(this.endpoint, {
+        method: 'POST',
+        body,
+        mode: 'no-cors',
+        keepalive: true,
+        headers: { 'Content-Type': 'text/plain' }
+      }).catch(() => {});
+    }
+  }
+  
+  // Until (and unless) the visitor consents, batches go nowhere
+  class NoopSink {
+    send() {}
+  }
+  
+  const ANALYTICS_SINKS = {
+    console: ConsoleSink,
+    beacon: BeaconSink,
+    none: NoopSink
+  };
+  
+  /* ==========================================
+     ANALYTICS & CONSENT
+     ========================================== */
+  
+  /**
+   * Do Not Track or Global Privacy Control: no banner, nothing recorded
+   * @returns {boolean}
+   */
+  const hasPrivacySignal = () => {
+    return navigator.globalPrivacyControl === true ||
+      navigator.doNotTrack === '1' ||
+      window.doNotTrack === '1';
+  };
+  
+  /**
+   * Collects "analytics:event"s into batches for the configured sink, once
+   * the visitor has said yes on the consent banner. Also tracks
+   * [data-track] clicks (data-track-* attributes become properties) and
+   * outbound links.
+   */
+  class Analytics {
     constructor() {
-      this.counters = $$(CONFIG.SELECTORS.statNumbers);
-      this.animated = new Set();
+      this.queue = [];
+      this.flushTimer = null;
+      this.banner = null;
+      this.settingsButtons = $$('[data-consent-settings]');
+      
+      const name = this.getSinkName();
+      if (name === 'none' || hasPrivacySignal()) return;
+      
+      this.target = new ANALYTICS_SINKS[name]({ endpoint: CONFIG.ANALYTICS_ENDPOINT });
+      this.consent = this.getStoredConsent();
+      this.sink = this.consent === 'granted' ? this.target : new NoopSink();
+      
       this.init();
     }
     
+    /**
+     * Sink for this page: the console during development, otherwise
+     * CONFIG.ANALYTICS_SINK ("none" if it can't work here)
+     * @returns {string}
+     */
+    getSinkName() {
+      if (IS_DEVELOPMENT) return 'console';
+      
+      const name = CONFIG.ANALYTICS_SINK;
+      if (!ANALYTICS_SINKS[name]) return 'none';
+      if (name === 'beacon' && !CONFIG.ANALYTICS_ENDPOINT) return 'none';
+      return name;
+    }
+    
+    /**
+     * @returns {string|null} 'granted', 'denied' or null (not asked yet)
+     */
+    getStoredConsent() {
+      const stored = storage.get(CONFIG.STORAGE_ANALYTICS_CONSENT);
+      return stored === 'granted' || stored === 'denied' ? stored : null;
+    }
+    
     init() {
-      if (!('IntersectionObserver' in window) || prefersReducedMotion()) {
-        // Fallback: show final numbers immediately
-        this.counters.forEach(counter => {
-          const target = parseInt(counter.getAttribute('data-count'));
-          counter.textContent = target;
-        });
-        return;
-      }
+      document.addEventListener('analytics:event', (e) => this.record(e.detail));
       
-      const options = {
-        threshold: 0.5
-      };
+      document.addEventListener('click', (e) => {
+        const tracked = e.target.closest('[data-track]');
+        if (tracked) this.trackElement(tracked);
+        
+        const link = e.target.closest('a[href]');
+        if (link) this.trackOutbound(link);
+      });
       
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting && !this.animated.has(entry.target)) {
-            this.animateCounter(entry.target);
-            this.animated.add(entry.target);
-            observer.unobserve(entry.target);
-          }
-        });
-      }, options);
+      // Send what's queued while the page can still do so
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.flush();
+      });
+      window.addEventListener('pagehide', () => this.flush());
+      
+      this.settingsButtons.forEach(button => {
+        button.hidden = false;
+        button.addEventListener('click', () => this.showBanner());
+      });
+      
+      // A choice made in another tab applies here too
+      window.addEventListener('storage', (e) => {
+        if (e.key !== CONFIG.STORAGE_ANALYTICS_CONSENT && e.key !== null) return;
+        this.applyConsent(this.getStoredConsent());
+      });
       
-      this.counters.forEach(counter => observer.observe(counter));
+      if (!this.consent) this.showBanner();
     }
     
-    animateCounter(counter) {
-      const target = parseInt(counter.getAttribute('data-count'));
-      const duration = 2000; // 2 seconds
-      const startTime = performance.now();
+    trackElement(el) {
+      const properties = {};
+      Object.keys(el.dataset).forEach(key => {
+        if (key === 'track' || !key.startsWith('track')) return;
+        // data-track-project → project
+        const name = key.charAt(5).toLowerCase() + key.slice(6);
+        properties[name] = el.dataset[key];
+      });
       
-      const updateCounter = (currentTime) => {
-        const elapsed = currentTime - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Easing function (ease-out)
-        const easeProgress = 1 - Math.pow(1 - progress, 3);
+      track(el.dataset.track, properties);
+    }
+    
+    // Links off the site (LinkedIn, GitHub, ...), by host only
+    trackOutbound(link) {
+      const url = new URL(link.href, window.location.href);
+      if (!/^https?:$/.test(url.protocol) || url.origin === window.location.origin) return;
+      
+      track('outbound_click', { host: url.hostname.replace(/^www\./, '') });
+    }
+    
+    record({ name, properties }) {
+      if (this.consent !== 'granted') return;
+      
+      this.queue.push({
+        name,
+        properties,
+        path: window.location.pathname,
+        locale: currentLocale,
+        time: Date.now()
+      });
+      
+      if (this.queue.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+        this.flush();
+      } else if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), CONFIG.ANALYTICS_FLUSH_INTERVAL);
+      }
+    }
+    
+    flush() {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+      if (!this.queue.length) return;
+      
+      this.sink.send(this.queue.splice(0));
+    }
+    
+    /**
+     * @param {string|null} consent - 'granted', 'denied' or null
+     */
+    applyConsent(consent) {
+      this.consent = consent;
+      this.sink = consent === 'granted' ? this.target : new NoopSink();
+      
+      if (consent !== 'granted') {
+        // Withdrawn: whatever was waiting is discarded, not sent
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.queue = [];
+      }
+      
+      if (consent) this.hideBanner();
+    }
+    
+    setConsent(consent) {
+      // Unsaved (storage blocked), the choice still holds for this page view
+      storage.set(CONFIG.STORAGE_ANALYTICS_CONSENT, consent);
+      this.applyConsent(consent);
+    }
+    
+    showBanner() {
+      if (!this.banner) {
+        this.banner = document.createElement('section');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('data-i18n-attr', 'aria-label:analytics.label');
+        this.banner.innerHTML = `
+          <p class="consent-banner__text" data-i18n="analytics.message"></p>
+          <div class="consent-banner__actions">
+            <button type="button" class="btn btn--small btn--secondary" data-consent="denied" data-i18n="analytics.decline"></button>
+            <button type="button" class="btn btn--small btn--primary" data-consent="granted" data-i18n="analytics.accept"></button>
+          </div>
+        `;
+        translate(this.banner);
         
-        const current = Math.floor(lerp(0, target, easeProgress));
-        counter.textContent = current;
+        this.banner.addEventListener('click', (e) => {
+          const button = e.target.closest('[data-consent]');
+          if (button) this.setConsent(button.dataset.consent);
+        });
         
-        if (progress < 1) {
-          requestAnimationFrame(updateCounter);
-        } else {
-          counter.textContent = target;
-        }
-      };
+        document.body.appendChild(this.banner);
+      }
       
-      requestAnimationFrame(updateCounter);
+      this.banner.hidden = false;
+      $$('[data-consent]', this.banner).forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.consent === this.consent));
+      });
+    }
+    
+    hideBanner() {
+      if (this.banner) this.banner.hidden = true;
     }
   }
   
   /* ==========================================
-     PROJECT MODAL
+     PAGE TRANSITIONS (CLIENT-SIDE ROUTER)
      ========================================== */
-  class ProjectModal {
+  
+  /**
+   * The page a URL shows. "/" and "/index.html" are the same page, the hash
+   * only scrolls within it and query strings are app state (?category=...).
+   * @param {URL|Location} url
+   * @returns {string}
+   */
+  const pageKey = (url) => url.pathname.replace(/\/index\.html$/, '/');
+  
+  /**
+   * Moves between the site's pages without reloading. Page links are
+   * fetched (ahead of time on hover or focus), and the content between the
+   * nav and the footer is swapped inside a view transition where the
+   * browser has them. The old page's components are torn down and
+   * "page:changed" starts them on the new content; the nav, the footer and
+   * app-wide components stay. Back and Forward return to where each page
+   * was left. Anything that can't be swapped falls back to a normal load.
+   */
+  class PageRouter {
     constructor() {
-      this.modal = $(CONFIG.SELECTORS.modal);
-      this.triggers = $$('.btn--icon[aria-label*="Quick view"]');
-      this.previousFocus = null;
-      
-      if (!this.modal) return;
-      
+      this.pages = new Map();
+      this.key = pageKey(window.location);
+      this.navigation = 0;
+      this.prefetchTimer = null;
       this.init();
     }
     
     init() {
-      // Open modal on trigger click
-      this.triggers.forEach(trigger => {
-        trigger.addEventListener('click', (e) => {
-          e.preventDefault();
-          const card = trigger.closest('.project-card');
-          this.openModal(card);
-        });
+      // Scroll positions are kept in history.state and put back once the
+      // page they belong to is in place, rather than over the old one
+      history.scrollRestoration = 'manual';
+      subscribeScroll(debounce(() => this.saveScroll(), CONFIG.ROUTER_SCROLL_SAVE_DELAY));
+      window.addEventListener('pagehide', () => this.saveScroll());
+      this.restoreAfterReload();
+      
+      this.announcer = document.createElement('p');
+      this.announcer.className = 'visually-hidden';
+      this.announcer.setAttribute('role', 'status');
+      document.body.appendChild(this.announcer);
+      
+      document.addEventListener('click', (e) => {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        
+        const link = this.findLink(e.target);
+        if (!link) return;
+        
+        e.preventDefault();
+        this.navigate(link.href);
       });
       
-      // Close modal on close button or overlay click
-      const closeButtons = $$(CONFIG.SELECTORS.modalClose);
-      closeButtons.forEach(btn => {
-        btn.addEventListener('click', () => this.closeModal());
+      // visit() from script (the command palette, openProject)
+      document.addEventListener('page:visit', (e) => {
+        const url = new URL(e.detail.url, window.location.href);
+        if (!this.isPage(url)) return;
+        
+        e.preventDefault();
+        this.navigate(url.href);
       });
       
-      // Close on escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && !this.modal.hasAttribute('hidden')) {
-          this.closeModal();
-        }
+      window.addEventListener('popstate', (e) => {
+        // Same page: a hash or the project modal's entry, handled elsewhere
+        if (pageKey(window.location) === this.key) return;
+        this.go(window.location.href, { scrollY: e.state ? e.state.scrollY : null });
+      });
+      
+      // Hover: wait a moment so sweeping across the nav doesn't fetch everything
+      document.addEventListener('pointerover', (e) => {
+        const link = this.findLink(e.target);
+        if (!link) return;
+        
+        clearTimeout(this.prefetchTimer);
+        this.prefetchTimer = setTimeout(() => this.prefetch(link.href), CONFIG.ROUTER_PREFETCH_DELAY);
+      });
+      document.addEventListener('pointerout', (e) => {
+        if (this.findLink(e.target)) clearTimeout(this.prefetchTimer);
+      });
+      document.addEventListener('focusin', (e) => {
+        const link = this.findLink(e.target);
+        if (link) this.prefetch(link.href);
       });
     }
     
-    openModal(card) {
-      // Extract card data
-      const title = card.querySelector('.project-card__title').textContent;
-      const description = card.querySelector('.project-card__description').textContent;
-      const tags = Array.from(card.querySelectorAll('.tag')).map(tag => tag.textContent);
-      
-      // Populate modal
-      const modalContent = $('.modal__content', this.modal);
-      modalContent.innerHTML = `
-        <h2 id="modal-title">${title}</h2>
-        <p>${description}</p>
-        <div class="project-card__tags">
-          ${tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-        </div>
-        <p style="margin-top: 2rem; color: var(--color-text-secondary);">
-          Click "View Details" to see the full project case study.
-        </p>
-      `;
-      
-      // Store previous focus
-      this.previousFocus = document.activeElement;
-      
-      // Show modal
-      this.modal.removeAttribute('hidden');
-      this.modal.setAttribute('aria-hidden', 'false');
-      
-      // Focus first focusable element
-      const firstFocusable = $('.modal__close', this.modal);
-      if (firstFocusable) firstFocusable.focus();
+    /**
+     * Whether a URL is another page of this site the router can show
+     * @param {URL} url
+     * @returns {boolean}
+     */
+    isPage(url) {
+      return url.origin === window.location.origin &&
+        url.href.startsWith(siteURL('')) &&
+        /(\/|\.html)$/.test(url.pathname) &&
+        pageKey(url) !== this.key;
+    }
+    
+    /**
+     * The page link an event target is in, if the router should follow it
+     * @param {EventTarget} target
+     * @returns {HTMLAnchorElement|null}
+     */
+    findLink(target) {
+      const link = target instanceof Element ? target.closest('a[href]') : null;
+      if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return null;
+      return this.isPage(new URL(link.href)) ? link : null;
+    }
+    
+    /**
+     * Fetch and parse a page, once per session
+     * @param {string} url - Absolute URL
+     * @returns {Promise<Document>}
+     */
+    load(url) {
+      const address = url.split('#')[0];
       
-      // Trap focus
-      this.trapFocus();
+      if (!this.pages.has(address)) {
+        this.pages.set(address, fetchDocument(address).catch(error => {
+          this.pages.delete(address);
+          throw error;
+        }));
+      }
+      return this.pages.get(address);
+    }
+    
+    prefetch(url) {
+      // Don't spend a metered connection on pages that may never be opened
+      if (navigator.connection && navigator.connection.saveData) return;
+      this.load(url).catch(() => {});
+    }
+    
+    // Remember where this page was left, for Back/Forward and reloads
+    saveScroll() {
+      const scrollY = Math.round(window.scrollY);
+      if (history.state && history.state.scrollY === scrollY) return;
       
-      // Prevent body scroll
-      document.body.style.overflow = 'hidden';
+      try {
+        history.replaceState({ ...history.state, scrollY }, '');
+      } catch (error) {
+        // Rate-limited (Safari): the next save, or the one on leaving, catches up
+      }
     }
     
-    closeModal() {
-      this.modal.setAttribute('hidden', '');
-      this.modal.setAttribute('aria-hidden', 'true');
-      document.body.style.overflow = '';
+    restoreAfterReload() {
+      const scrollY = history.state ? history.state.scrollY : null;
+      if (typeof scrollY !== 'number') return;
       
-      // Return focus to trigger
-      if (this.previousFocus) {
-        this.previousFocus.focus();
+      // Once late content (images, the project grid) has its height
+      const restore = () => this.scrollTo(scrollY);
+      if (document.readyState === 'complete') {
+        restore();
+      } else {
+        window.addEventListener('load', restore, { once: true });
       }
     }
     
-    trapFocus() {
-      const focusable = this.modal.querySelectorAll(
-        'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-      );
-      const firstFocusable = focusable[0];
-      const lastFocusable = focusable[focusable.length - 1];
+    /**
+     * Follow a link: a new history entry for the page
+     * @param {string} url - Absolute URL
+     */
+    navigate(url) {
+      this.saveScroll();
+      this.go(url, { push: true });
+    }
+    
+    /**
+     * Show a page
+     * @param {string} url - Absolute URL
+     * @param {{push: boolean, scrollY: ?number}} options - Add a history
+     *   entry (links) or not (Back/Forward); where to scroll, else the
+     *   URL's hash or the top
+     * @returns {Promise}
+     */
+    go(url, { push = false, scrollY = null } = {}) {
+      const navigation = ++this.navigation;
+      let pushed = false;
       
-      const handleTab = (e) => {
-        if (e.key !== 'Tab') return;
-        
-        if (e.shiftKey) {
-          if (document.activeElement === firstFocusable) {
-            e.preventDefault();
-            lastFocusable.focus();
+      return this.load(url)
+        .then(doc => {
+          // A later click (or Back) wins
+          if (navigation !== this.navigation) return null;
+          
+          if (!this.getContent(doc).length) throw new Error(`${url} has no content to show`);
+          
+          if (push) {
+            history.pushState({ scrollY: 0 }, '', url);
+            pushed = true;
           }
-        } else {
-          if (document.activeElement === lastFocusable) {
-            e.preventDefault();
-            firstFocusable.focus();
+          this.key = pageKey(window.location);
+          
+          const update = () => this.swap(doc, scrollY);
+          if (!document.startViewTransition || prefersReducedMotion()) return update();
+          return document.startViewTransition(update).updateCallbackDone;
+        })
+        .catch(error => {
+          console.warn('Page transition failed, loading the page instead:', error);
+          if (navigation !== this.navigation) return;
+          
+          // Once the address bar shows the page (after our pushState, or
+          // Back/Forward), assigning it again may only change the hash
+          if (push && !pushed) {
+            window.location.assign(url);
+          } else {
+            window.location.reload();
           }
-        }
-      };
-      
-      this.modal.addEventListener('keydown', handleTab);
-    }
-  }
-  
-  /* ==========================================
-     CONTACT FORM VALIDATION
-     ========================================== */
-  class ContactForm {
-    constructor() {
-      this.form = $(CONFIG.SELECTORS.contactForm);
-      
-      if (!this.form) return;
-      
-      this.init();
+        });
     }
     
-    init() {
-      this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    /**
+     * Nodes between the nav and the footer: <main>, and the homepage's
+     * project modal
+     * @param {Document} doc
+     * @returns {Array<Node>}
+     */
+    getContent(doc) {
+      const nav = $(CONFIG.SELECTORS.nav, doc);
+      const footer = $(CONFIG.SELECTORS.footer, doc);
+      if (!nav || !footer || nav.parentNode !== footer.parentNode) return [];
       
-      // Real-time validation
-      const inputs = this.form.querySelectorAll('input, textarea');
-      inputs.forEach(input => {
-        input.addEventListener('blur', () => this.validateField(input));
-      });
+      const nodes = [];
+      for (let node = nav.nextSibling; node && node !== footer; node = node.nextSibling) {
+        nodes.push(node);
+      }
+      return nodes.some(node => node.nodeName === 'MAIN') ? nodes : [];
     }
     
-    validateField(field) {
-      const value = field.value.trim();
-      let isValid = true;
-      let message = '';
+    /**
+     * Replace the page: the URL is already the new one, so relative links
+     * and images in the new content resolve against it
+     * @param {Document} doc - The new page (left untouched, as it's cached)
+     * @param {?number} scrollY - Where to scroll
+     * @returns {Promise} Settles once the page is in place and scrolled
+     */
+    swap(doc, scrollY) {
+      leavePage();
       
-      if (field.hasAttribute('required') && !value) {
-        isValid = false;
-        message = 'This field is required';
-      } else if (field.type === 'email' && value) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-          isValid = false;
-          message = 'Please enter a valid email address';
-        }
-      }
+      const content = this.getContent(doc).map(node => document.importNode(node, true));
+      this.getContent(document).forEach(node => node.remove());
+      $(CONFIG.SELECTORS.footer).before(...content);
+      content.filter(node => node.nodeType === Node.ELEMENT_NODE).forEach(el => translate(el));
       
-      // Update field appearance
-      if (isValid) {
-        field.style.borderColor = 'var(--color-border)';
+      this.syncHead(doc);
+      this.syncLinks(doc);
+      
+      const { navSection } = doc.body.dataset;
+      if (navSection) {
+        document.body.dataset.navSection = navSection;
       } else {
-        field.style.borderColor = '#ef4444';
+        delete document.body.dataset.navSection;
       }
       
-      return { isValid, message };
+      // Starts the page components again (see initApp)
+      document.dispatchEvent(new CustomEvent('page:changed', { detail: { url: window.location.href } }));
+      
+      // After content drawn from already-loaded data (the project grid) is in
+      return new Promise(resolve => setTimeout(resolve)).then(() => {
+        this.scrollTo(scrollY);
+        this.focusPage();
+        this.announcer.textContent = t('router.loaded', { title: document.title });
+      });
     }
     
-    handleSubmit(e) {
-      // Note: Form uses mailto action as per requirements
-      // This function validates before allowing submission
-      
-      const inputs = this.form.querySelectorAll('input, textarea');
-      let isFormValid = true;
-      let errors = [];
+    // Title and what search engines and link previews read
+    syncHead(doc) {
+      document.title = doc.title;
       
-      inputs.forEach(input => {
-        const validation = this.validateField(input);
-        if (!validation.isValid) {
-          isFormValid = false;
-          errors.push(`${input.name}: ${validation.message}`);
-        }
+      const selector = 'meta[name="description"], meta[name="robots"], link[rel="canonical"], ' +
+        'meta[property^="og:"], meta[name^="twitter:"], script[type="application/ld+json"]';
+      $$(selector, document.head).forEach(el => el.remove());
+      $$(selector, doc.head).forEach(el => document.head.appendChild(document.importNode(el, true)));
+    }
+    
+    /**
+     * Nav and footer links are written for the page they're on
+     * ("../index.html#about" on a case study, "#about" on the homepage),
+     * so take them, unhighlighted, from the new page
+     * @param {Document} doc
+     */
+    syncLinks(doc) {
+      [CONFIG.SELECTORS.nav, CONFIG.SELECTORS.footer].forEach(selector => {
+        const links = $$('a[href]', $(selector));
+        const next = $$('a[href]', $(selector, doc));
+        if (links.length !== next.length) return;
+        
+        links.forEach((link, i) => {
+          ['href', 'class', 'aria-current'].forEach(name => {
+            const value = next[i].getAttribute(name);
+            if (value === null) {
+              link.removeAttribute(name);
+            } else {
+              link.setAttribute(name, value);
+            }
+          });
+        });
       });
+    }
+    
+    /**
+     * @param {?number} scrollY - A saved position, else the URL's hash
+     *   target (below the fixed nav) or the top
+     */
+    scrollTo(scrollY) {
+      let top = scrollY || 0;
       
-      if (!isFormValid) {
-        e.preventDefault();
-        this.showStatus('error', 'Please fix the errors and try again.');
-        return false;
+      if (typeof scrollY !== 'number') {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        const target = id && document.getElementById(id);
+        if (target) top = Math.max(target.getBoundingClientRect().top + window.scrollY - getNavOffset(), 0);
       }
       
-      // If valid, show success message
-      this.showStatus('success', 'Opening your email client...');
+      // A new page should just be there, whatever html's scroll-behavior says
+      window.scrollTo({ top, behavior: 'instant' });
     }
     
-    showStatus(type, message) {
-      const status = $(CONFIG.SELECTORS.formStatus);
-      if (!status) return;
-      
-      status.className = `form-status form-status--${type}`;
-      status.textContent = message;
-      status.setAttribute('role', 'alert');
+    // Start keyboard and screen reader users at the new content, like a page load
+    focusPage() {
+      const main = $(CONFIG.SELECTORS.main);
+      if (!main) return;
       
-      // Auto-hide after 5 seconds
-      setTimeout(() => {
-        status.className = 'form-status';
-        status.textContent = '';
-      }, 5000);
+      main.setAttribute('tabindex', '-1');
+      main.focus({ preventScroll: true });
     }
   }
   
   /* ==========================================
-     SMOOTH SCROLL
+     OFFLINE SUPPORT
      ========================================== */
-  class SmoothScroll {
+  class OfflineSupport {
     constructor() {
+      this.reloading = false;
       this.init();
     }
     
     init() {
-      // Smooth scroll for anchor links
-      $$('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', (e) => {
-          const href = anchor.getAttribute('href');
-          
-          // Ignore if href is just "#"
-          if (href === '#') return;
-          
-          e.preventDefault();
-          
-          const target = $(href);
-          if (!target) return;
-          
-          // Calculate offset (account for fixed nav)
-          const nav = $(CONFIG.SELECTORS.nav);
-          const navHeight = nav ? nav.offsetHeight : 0;
-          const targetPosition = target.offsetTop - navHeight - 20;
+      if (!('serviceWorker' in navigator)) return;
+      
+      // Register after load so precaching doesn't compete with the first visit
+      if (document.readyState === 'complete') {
+        this.register();
+      } else {
+        window.addEventListener('load', () => this.register(), { once: true });
+      }
+      
+      // Reload once the new version has taken over, but only when asked to
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!this.reloading) return;
+        window.location.reload();
+      });
+    }
+    
+    register() {
+      navigator.serviceWorker.register(siteURL(CONFIG.SERVICE_WORKER))
+        .then(registration => {
+          if (registration.waiting) this.promptUpdate(registration.waiting);
           
-          // Smooth scroll
-          window.scrollTo({
-        top: targetPosition,
-            behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+          registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+              // Without a controller this is the first install, not an update
+              if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.promptUpdate(worker);
+              }
+            });
           });
           
-          // Focus target for accessibility
-          target.setAttribute('tabindex', '-1');
-          target.focus();
-        });
+          // Tabs left open for days still hear about new deploys
+          document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') registration.update().catch(() => {});
+          });
+        })
+        .catch(error => console.warn('Service worker registration failed:', error));
+    }
+    
+    /**
+     * @param {ServiceWorker} worker - The installed, waiting new version
+     */
+    promptUpdate(worker) {
+      showToast(t('offline.updated'), {
+        action: {
+          label: t('offline.reload'),
+          onClick: () => {
+            this.reloading = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+          }
+        }
       });
     }
   }
   
   /* ==========================================
-     IMAGE LAZY LOADING OPTIMIZATION
+     DIAGNOSTICS (ERRORS & WEB VITALS)
      ========================================== */
-  class ImageLoader {
+  
+  // [good up to, poor above] per metric, as defined by web.dev
+  const VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800]
+  };
+  
+  const rateVital = (name, value) => {
+    const [good, poor] = VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+  };
+  
+  const supportsEntryType = (type) => {
+    return 'PerformanceObserver' in window &&
+      (PerformanceObserver.supportedEntryTypes || []).includes(type);
+  };
+  
+  /**
+   * LCP, CLS, INP and TTFB for this page view, measured the way the
+   * web-vitals library does. Metrics the browser can't observe are left out.
+   */
+  class WebVitals {
     constructor() {
-      this.images = $$('img[loading="lazy"]');
+      this.values = {};
+      this.shifts = { value: 0, start: 0, last: 0 };
+      this.interactions = new Map();
+      this.lcpObserver = null;
+      
       this.init();
     }
     
+    observe(type, callback, options = {}) {
+      if (!supportsEntryType(type)) return null;
+      
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      return observer;
+    }
+    
     init() {
-      // Hide skeleton when image loads
-      this.images.forEach(img => {
-        if (img.complete) {
-          this.onImageLoad(img);
-        } else {
-          img.addEventListener('load', () => this.onImageLoad(img));
-          img.addEventListener('error', () => this.onImageError(img));
+      const [navigation] = supportsEntryType('navigation') ? performance.getEntriesByType('navigation') : [];
+      if (navigation) {
+        this.values.TTFB = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+      }
+      
+      // LCP: the last candidate before the visitor first interacts
+      this.lcpObserver = this.observe('largest-contentful-paint', entries => {
+        this.values.LCP = entries[entries.length - 1].startTime;
+      });
+      ['keydown', 'pointerdown'].forEach(type => {
+        window.addEventListener(type, () => this.stopLCP(), { once: true, capture: true });
+      });
+      
+      // CLS: the largest burst of unexpected shifts (each under 1s apart,
+      // at most 5s in total)
+      if (supportsEntryType('layout-shift')) this.values.CLS = 0;
+      this.observe('layout-shift', entries => entries.forEach(entry => {
+        if (entry.hadRecentInput) return;
+        
+        if (entry.startTime - this.shifts.last > 1000 || entry.startTime - this.shifts.start > 5000) {
+          this.shifts = { value: 0, start: entry.startTime, last: entry.startTime };
         }
+        this.shifts.value += entry.value;
+        this.shifts.last = entry.startTime;
+        this.values.CLS = Math.max(this.values.CLS, this.shifts.value);
+      }));
+      
+      // INP: the slowest interaction, ignoring one outlier per 50
+      const recordInteractions = entries => entries.forEach(entry => {
+        if (!entry.interactionId) return;
+        
+        const slowest = this.interactions.get(entry.interactionId) || 0;
+        this.interactions.set(entry.interactionId, Math.max(slowest, entry.duration));
+        
+        const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+        this.values.INP = durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
       });
+      this.observe('event', recordInteractions, { durationThreshold: 40 });
+      this.observe('first-input', recordInteractions);
     }
     
-    onImageLoad(img) {
-      const skeleton = img.parentElement.querySelector('.skeleton');
-      if (skeleton) {
-        skeleton.style.display = 'none';
-      }
-      img.style.opacity = '0';
-      img.style.transition = 'opacity 0.3s ease-in';
-      setTimeout(() => {
-        img.style.opacity = '1';
-      }, 10);
+    stopLCP() {
+      if (!this.lcpObserver) return;
+      
+      const pending = this.lcpObserver.takeRecords();
+      if (pending.length) this.values.LCP = pending[pending.length - 1].startTime;
+      this.lcpObserver.disconnect();
+      this.lcpObserver = null;
     }
     
-    onImageError(img) {
-      const skeleton = img.parentElement.querySelector('.skeleton');
-      if (skeleton) {
-        skeleton.style.display = 'none';
-      }
-      // Optionally add error placeholder
-      img.alt = 'Image failed to load';
+    /**
+     * @returns {Object<string, {value: number, rating: string}>} Metrics so far
+     */
+    getReport() {
+      return Object.fromEntries(Object.entries(this.values).map(([name, value]) => [name, {
+        value: name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value),
+        rating: rateVital(name, value)
+      }]));
     }
   }
   
-  /* ==========================================
-     ENTERPRISE NAVIGATION EFFECTS
-     ========================================== */
-  class NavigationEffects {
+  /**
+   * Starts the components and reports what goes wrong with them. Each
+   * component is constructed on its own, so one that throws doesn't stop
+   * the rest. Uncaught errors and unhandled rejections are reported with
+   * the component named in their stack, and Web Vitals when the page is
+   * hidden.
+   *
+   * Reports go to CONFIG.DIAGNOSTICS_ENDPOINT from a sample of page views
+   * (never with Do Not Track / Global Privacy Control). Diagnostics mode
+   * (localhost, or localStorage "portfolio-diagnostics" set to "on") logs
+   * every report to the console instead.
+   */
+  class Diagnostics {
     constructor() {
-      this.nav = $(CONFIG.SELECTORS.nav);
-      this.init();
+      this.debug = IS_DEVELOPMENT || storage.get(CONFIG.STORAGE_DIAGNOSTICS) === 'on';
+      this.components = new Set([...APP_COMPONENTS, ...PAGE_COMPONENTS, OfflineSupport].map(Component => Component.name));
+      this.mounted = 0;
+      this.failed = [];
+      this.reported = new Set();
+      this.lastVitals = '';
+      this.sink = null;
+      this.vitals = null;
+      
+      // Reporting is optional: if it can't be set up, mount() still starts
+      // the components, just unreported
+      try {
+        this.setUp();
+      } catch (error) {
+        this.sink = null;
+        this.vitals = null;
+        console.error('Diagnostics failed to start:', error);
+      }
     }
     
-    init() {
-      if (!this.nav) return;
+    setUp() {
+      this.sink = this.createSink();
+      if (!this.sink) return;
       
-      // Add scrolled class on scroll
-      window.addEventListener('scroll', () => {
-        if (window.scrollY > 50) {
-          this.nav.classList.add('scrolled');
-        } else {
-          this.nav.classList.remove('scrolled');
-        }
-      });
+      this.reportErrors = this.isSampled(CONFIG.DIAGNOSTICS_ERROR_SAMPLE_RATE);
+      this.vitals = this.isSampled(CONFIG.DIAGNOSTICS_VITALS_SAMPLE_RATE) ? new WebVitals() : null;
       
-      // Initial check
-      if (window.scrollY > 50) {
-        this.nav.classList.add('scrolled');
-      }
-    }
-  }
-  
-  /* ==========================================
-     PARALLAX EFFECT ON HERO
-     ========================================== */
-  class ParallaxEffect {
-    constructor() {
-      this.hero = $('.hero');
-      this.heroContent = $('.hero__content');
-      this.heroVisual = $('.hero__visual');
       this.init();
     }
     
+    createSink() {
+      if (this.debug) return new ConsoleSink({ label: 'Diagnostics' });
+      if (!CONFIG.DIAGNOSTICS_ENDPOINT || hasPrivacySignal()) return null;
+      return new BeaconSink({ endpoint: CONFIG.DIAGNOSTICS_ENDPOINT });
+    }
+    
+    // Decided once per page view, so a sampled visit reports everything
+    isSampled(rate) {
+      return this.debug || Math.random() < rate;
+    }
+    
     init() {
-      if (!this.hero || prefersReducedMotion()) return;
+      window.addEventListener('error', (e) => {
+        const source = e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : '';
+        this.reportError(e.error || e.message, { kind: 'error', source });
+      });
+      window.addEventListener('unhandledrejection', (e) => {
+        this.reportError(e.reason, { kind: 'rejection' });
+      });
       
-      window.addEventListener('scroll', () => {
-        requestAnimationFrame(() => this.updateParallax());
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') this.reportVitals();
       });
+      window.addEventListener('pagehide', () => this.reportVitals());
     }
     
-    updateParallax() {
-      const scrolled = window.pageYOffset;
-      const heroHeight = this.hero.offsetHeight;
+    /**
+     * Construct a component, reporting (rather than throwing) its errors
+     * @param {Function} Component - Component class
+     * @returns {Object|null} The instance, or null if it failed
+     */
+    mount(Component) {
+      this.mounted++;
       
-      if (scrolled < heroHeight) {
-        const opacity = 1 - (scrolled / heroHeight);
-        const translateY = scrolled * 0.4;
-        
-        if (this.heroContent) {
-          this.heroContent.style.transform = `translateY(${translateY}px)`;
-          this.heroContent.style.opacity = opacity;
-        }
-        
-        if (this.heroVisual) {
-          this.heroVisual.style.transform = `translateY(${-translateY * 0.5}px)`;
-        }
+      try {
+        return new Component();
+      } catch (error) {
+        console.error(`${Component.name} failed to start:`, error);
+        this.failed.push(Component.name);
+        this.reportError(error, { kind: 'init', component: Component.name });
+        return null;
       }
     }
-  }
-  
-  /* ==========================================
-     MAGNETIC BUTTON EFFECT (ENTERPRISE)
-     ========================================== */
-  class MagneticButtons {
-    constructor() {
-      this.buttons = $$('.btn--primary');
-      this.init();
+    
+    /**
+     * Innermost component in a stack trace (only V8 stacks name classes)
+     * @param {string} stack - Error stack
+     * @returns {string|null}
+     */
+    findComponent(stack) {
+      const pattern = /\bat (?:new )?([A-Z]\w*)/g;
+      for (let match; (match = pattern.exec(stack)); ) {
+        if (this.components.has(match[1])) return match[1];
+      }
+      return null;
     }
     
-    init() {
-      if (prefersReducedMotion()) return;
+    /**
+     * @param {*} error - Error (or whatever was thrown or rejected with)
+     * @param {{kind: string, component?: string, source?: string}} details -
+     *   'error', 'rejection' or 'init'; the component if already known
+     */
+    reportError(error, { kind, component = null, source = '' }) {
+      if (!this.sink || !this.reportErrors) return;
       
-      this.buttons.forEach(btn => {
-        btn.addEventListener('mousemove', (e) => this.handleMouseMove(e, btn));
-        btn.addEventListener('mouseleave', (e) => this.handleMouseLeave(e, btn));
+      // Not instanceof: errors from other frames have their own Error
+      const isError = Boolean(error) && typeof error.message === 'string';
+      const message = isError ? `${error.name}: ${error.message}` : String(error);
+      const stack = (isError && error.stack) || '';
+      
+      // The same error in a loop is one report, and a broken page only sends a few
+      const key = `${kind}|${message}`;
+      if (this.reported.has(key) || this.reported.size >= CONFIG.DIAGNOSTICS_MAX_ERRORS) return;
+      this.reported.add(key);
+      
+      this.send({
+        type: 'error',
+        kind,
+        component: component || this.findComponent(stack),
+        message,
+        source,
+        stack: stack.slice(0, 1000)
       });
     }
     
-    handleMouseMove(e, btn) {
-      const rect = btn.getBoundingClientRect();
-      const x = e.clientX - rect.left - rect.width / 2;
-      const y = e.clientY - rect.top - rect.height / 2;
+    // Sent each time the page is hidden with metrics that changed since
+    reportVitals() {
+      if (!this.vitals) return;
       
-      const moveX = x * 0.3;
-      const moveY = y * 0.3;
+      this.vitals.stopLCP();
+      const metrics = this.vitals.getReport();
+      const serialized = JSON.stringify(metrics);
+      if (serialized === '{}' || serialized === this.lastVitals) return;
       
-      btn.style.transform = `translate(${moveX}px, ${moveY}px) scale(1.05)`;
+      this.lastVitals = serialized;
+      this.send({ type: 'vitals', metrics });
     }
     
-    handleMouseLeave(e, btn) {
-      btn.style.transform = 'translate(0, 0) scale(1)';
-      btn.style.transition = 'transform 0.3s ease';
-      setTimeout(() => {
-        btn.style.transition = '';
-      }, 300);
-    }
-  }
-  
-  /* ==========================================
-     SMOOTH REVEAL FOR SECTIONS
-     ========================================== */
-  class SmoothReveal {
-    constructor() {
-      this.sections = $$('.section');
-      this.init();
+    send(report) {
+      this.sink.send([{ ...report, path: window.location.pathname, time: Date.now() }]);
     }
     
-    init() {
-      if (!('IntersectionObserver' in window)) return;
-      
-      const options = {
-        threshold: 0.15,
-        rootMargin: '0px 0px -100px 0px'
-      };
-      
-      const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            entry.target.style.opacity = '1';
-            entry.target.style.transform = 'translateY(0)';
-            observer.unobserve(entry.target);
-          }
-        });
-      }, options);
+    /**
+     * Log how start-up went (diagnostics mode only)
+     * @param {number} duration - Time taken to construct the components (ms)
+     */
+    ready(duration) {
+      if (!this.debug) return;
       
-      this.sections.forEach(section => {
-        if (!prefersReducedMotion()) {
-          section.style.opacity = '0';
-          section.style.transform = 'translateY(40px)';
-          section.style.transition = 'opacity 0.8s ease-out, transform 0.8s ease-out';
-        }
-        observer.observe(section);
-      });
+      const started = this.mounted - this.failed.length;
+      console.log(`✅ Portfolio initialized: ${started}/${this.mounted} components in ${Math.round(duration)} ms`);
+      if (this.failed.length) console.log(`❌ Failed: ${this.failed.join(', ')}`);
     }
   }
   
-  
   /* ==========================================
      INITIALIZATION
      ========================================== */
+  // Started in this order by initApp, each on its own (see Diagnostics)
+  // Started once: the nav, footer and anything page-independent
+  const APP_COMPONENTS = [
+    MobileNav,
+    ThemeManager,
+    MotionPreferences,
+    LanguageSwitcher,
+    SmoothScroll,
+    NavigationEffects,
+    CommandPalette,
+    ResumeExport,
+    Analytics,
+    PageRouter
+  ];
+  
+  // Started again on every page the router swaps in
+  const PAGE_COMPONENTS = [
+    ScrollAnimations,
+    SkillMeters,
+    SkillsExplorer,
+    HeroTerminal,
+    CounterAnimations,
+    ProjectModal,
+    ProjectGrid,
+    ProjectFilters,
+    ContactForm,
+    ImageLoader,
+    ParallaxEffect,
+    MagneticButtons,
+    SmoothReveal,
+    ScrollSpy
+  ];
+  
   function init() {
+    // Before anything else, so errors while starting up are reported too
+    const diagnostics = new Diagnostics();
+    
+    // Components start with the markup's English rather than wait for the
+    // dictionaries; setLocale() translates them once those arrive
+    const start = () => {
+      setLocale(getStoredLocale());
+      initApp(diagnostics);
+    };
+    
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', initApp);
+      document.addEventListener('DOMContentLoaded', start);
     } else {
-      initApp();
+      start();
     }
   }
   
-  function initApp() {
-    new MobileNav();
-    new ThemeManager();
-    new ScrollAnimations();
-    new SkillAnimations();
-    new CounterAnimations();
-    new ProjectModal();
-    new ContactForm();
-    new SmoothScroll();
-    new ImageLoader();
-    new NavigationEffects();
-    new ParallaxEffect();
-    new MagneticButtons();
-    new SmoothReveal();
+  /**
+   * @param {Diagnostics} diagnostics - Starts each component and reports failures
+   */
+  function initApp(diagnostics) {
+    const startedAt = performance.now();
     
-    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-      console.log('✅ Portfolio initialized successfully');
-      console.log('✨ Enterprise features enabled');
-    }
+    APP_COMPONENTS.forEach(Component => diagnostics.mount(Component));
+    PAGE_COMPONENTS.forEach(Component => diagnostics.mount(Component));
+    
+    document.addEventListener('page:changed', () => {
+      PAGE_COMPONENTS.forEach(Component => diagnostics.mount(Component));
+    });
+    
+    // Not during development, where a cached build would hide edits
+    if (!IS_DEVELOPMENT) diagnostics.mount(OfflineSupport);
+    
+    diagnostics.ready(performance.now() - startedAt);
   }
   
   init();
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * STATIC SITE BUILD
+ *
+ * Assembles the site into an output folder (dist/ by default):
+ *
+ *   src/site.json        Site-wide values (name, base URL, language, owner)
+ *   src/layouts/*.html   Page shells; every page ends up in base.html
+ *   src/partials/*.html  Shared fragments ({{> nav }}, {{> footer }}, ...)
+ *   src/pages/*.html     Pages: front matter + the markup inside <body>
+ *   src/projects/*.md    Case studies: front matter + Markdown, rendered
+ *                        with layouts/project.html into projects/*.html
+ *
+ *   src/sw.js            Service worker, given the precache list and a
+ *                        version hash of the output
+ *
+ * css/, js/, data/ and assets/ are copied as-is. sitemap.xml, robots.txt,
+ * CNAME and each page's JSON-LD and Open Graph tags are generated from
+ * site.json's url, so every page and the sitemap agree on the host;
+ * manifest.webmanifest comes from site.json's app settings.
+ *
+ * No dependencies and no network access. The output only depends on the
+ * input (no timestamps, sorted file order), so unchanged sources rebuild
+ * to identical bytes.
+ *
+ * Usage:
+ *   node scripts/build.js [outDir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./lib/front-matter');
+const { renderMarkdown } = require('./lib/markdown');
+const { render } = require('./lib/template');
+const offline = require('./lib/offline');
+const seo = require('./lib/seo');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const OUT = path.resolve(ROOT, process.argv[2] || 'dist');
+
+// Copied verbatim (directories recursively)
+const STATIC = ['assets', 'css', 'data', 'js'];
+
+const PROJECTS_MANIFEST = path.join(ROOT, 'data', 'projects.json');
+
+// Front matter every case study needs. Dates and employer aren't among
+// them: they come from the project's data/projects.json entry (by slug).
+const PROJECT_FIELDS = ['slug', 'title', 'subtitle', 'description', 'ctaTitle', 'ctaText'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "2024-09" -> "Sep 2024"
+const formatMonth = (value) => {
+  const [year, month] = value.split('-');
+  return `${MONTHS[Number(month) - 1]} ${year}`;
+};
+
+// Manifest dates ({ start, end }, end null while ongoing) -> "Sep 2024 – Present"
+const formatPeriod = (dates) => {
+  if (!dates || !dates.start) return '';
+  return `${formatMonth(dates.start)} – ${dates.end ? formatMonth(dates.end) : 'Present'}`;
+};
+
+const read = (file) => fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+
+const listFiles = (dir, extension) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(name => name.endsWith(extension)).sort();
+};
+
+// Every file under dir, as sorted "/"-separated relative paths
+const listTree = (dir, prefix = '') => {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      return entry.isDirectory() ? listTree(dir, relative) : [relative];
+    });
+};
+
+const loadTemplates = (dir) => {
+  const templates = {};
+  listFiles(dir, '.html').forEach(name => {
+    templates[path.basename(name, '.html')] = read(path.join(dir, name));
+  });
+  return templates;
+};
+
+const copy = (from, to) => {
+  if (fs.statSync(from).isDirectory()) {
+    fs.mkdirSync(to, { recursive: true });
+    fs.readdirSync(from).sort().forEach(name => copy(path.join(from, name), path.join(to, name)));
+  } else {
+    fs.copyFileSync(from, to);
+  }
+};
+
+const PARTIAL_TAG = /\{\{\s*>\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Every source a page is rendered from: its own file, the data it reads,
+ * its layouts and the partials those pull in (at any depth). Its lastmod
+ * is the latest commit to any of them.
+ * @param {{file: string, content: ?string, data: Object, sources: string[]}} page
+ * @param {Object<string, string>} layouts - Layout templates by name
+ * @param {Object<string, string>} partials - Partial templates by name
+ * @returns {string[]} Paths relative to the repository root
+ */
+const sourceFiles = (page, layouts, partials) => {
+  const files = [page.file, ...page.sources];
+  const used = new Set();
+
+  const addPartials = (template) => {
+    for (const [, name] of template.matchAll(PARTIAL_TAG)) {
+      if (used.has(name) || !partials[name]) continue;
+      used.add(name);
+      files.push(path.join('src', 'partials', `${name}.html`));
+      addPartials(partials[name]);
+    }
+  };
+
+  ['base', page.data.layout].filter(Boolean).forEach(name => {
+    files.push(path.join('src', 'layouts', `${name}.html`));
+    addPartials(layouts[name] || '');
+  });
+  if (page.data.head) addPartials(`{{> ${page.data.head} }}`);
+  addPartials(page.content || '');
+
+  return files;
+};
+
+/**
+ * Collect every page to build, with the values its templates need
+ * @param {Object} site - src/site.json
+ * @param {Object<string, string>} layouts - Layout templates by name
+ * @param {Object<string, string>} partials - Partial templates by name
+ * @returns {Array<{output: string, data: Object, content: string, file: string, sources: string[], lastmod: string|null}>}
+ */
+const collectPages = (site, layouts, partials) => {
+  const catalog = JSON.parse(read(PROJECTS_MANIFEST)).projects;
+
+  const pages = listFiles(path.join(SRC, 'pages'), '.html').map(name => {
+    const file = path.join('src', 'pages', name);
+    const { data, body } = parseFrontMatter(read(path.join(ROOT, file)), file);
+    return { output: name, data, content: body.replace(/\n+$/, ''), file, sources: [] };
+  });
+
+  const projects = listFiles(path.join(SRC, 'projects'), '.md').map(name => {
+    const file = path.join('src', 'projects', name);
+    const output = `projects/${path.basename(name, '.md')}.html`;
+    const { data, body } = parseFrontMatter(read(path.join(ROOT, file)), file);
+
+    const missing = PROJECT_FIELDS.filter(field => !data[field]);
+    if (missing.length) {
+      throw new Error(`${file}: missing front matter ${missing.join(', ')}`);
+    }
+
+    const project = catalog.find(entry => entry.slug === data.slug);
+    if (!project) {
+      throw new Error(`${file}: no project "${data.slug}" in data/projects.json`);
+    }
+
+    return {
+      output,
+      data: {
+        layout: 'project',
+        navSection: 'projects',
+        pageTitle: `${data.title} — ${site.name}`,
+        ogType: 'article',
+        // Dates, employer and stack for the structured data
+        project,
+        ...data,
+        period: formatPeriod(project.dates),
+        employer: project.employer || '',
+        body: renderMarkdown(body, file)
+      },
+      content: null,
+      file,
+      // Dates and employer come from the manifest
+      sources: [path.relative(ROOT, PROJECTS_MANIFEST)]
+    };
+  });
+
+  return [...pages, ...projects].map(page => ({
+    ...page,
+    lastmod: seo.lastModified(ROOT, sourceFiles(page, layouts, partials))
+  }));
+};
+
+const renderPage = (page, site, layouts, partials) => {
+  const depth = page.output.split('/').length - 1;
+  // absoluteLinks pages (the offline page) are served at any URL, so they
+  // can't use relative paths
+  const root = page.data.absoluteLinks
+    ? new URL(site.url).pathname.replace(/\/?$/, '/')
+    : '../'.repeat(depth);
+  const isHome = page.output === 'index.html';
+
+  const context = {
+    navSection: '',
+    pageTitle: page.data.title,
+    ogType: 'website',
+    noindex: false,
+    ...page.data,
+    site,
+    root,
+    // Homepage sections are linked as plain #hashes so smooth scroll handles them
+    home: isHome ? '' : `${root}index.html`,
+    canonical: seo.pageURL(site, page.output)
+  };
+
+  // Link previews: the page's own image, else the site default (if any)
+  const image = page.data.image || site.image;
+  context.ogImage = image ? `${site.url}/${image}` : '';
+  context.twitterCard = image ? 'summary_large_image' : 'summary';
+  context.jsonLd = seo.structuredData({ ...page.data, output: page.output, lastmod: page.lastmod }, site);
+
+  try {
+    // Pages are templates too, so they can use {{ root }} and partials
+    let content = page.content === null ? '' : render(page.content, context, partials);
+    if (page.data.layout) {
+      if (!layouts[page.data.layout]) throw new Error(`unknown layout "${page.data.layout}"`);
+      content = render(layouts[page.data.layout], context, partials);
+    }
+
+    if (page.data.head) {
+      if (!partials[page.data.head]) throw new Error(`unknown head partial "${page.data.head}"`);
+      context.head = render(partials[page.data.head].replace(/\n$/, ''), context, partials);
+    }
+
+    return `${render(layouts.base, { ...context, content }, partials).replace(/\n*$/, '')}\n`;
+  } catch (error) {
+    throw new Error(`${page.file}: ${error.message}`);
+  }
+};
+
+const build = () => {
+  const site = JSON.parse(read(path.join(SRC, 'site.json')));
+  const layouts = loadTemplates(path.join(SRC, 'layouts'));
+  const partials = loadTemplates(path.join(SRC, 'partials'));
+
+  // The output folder is wiped, so never let it be (or contain) the sources
+  const relative = path.relative(ROOT, OUT);
+  if (!relative || ROOT.startsWith(OUT + path.sep) || ['src', 'scripts', '.git', ...STATIC].includes(relative.split(path.sep)[0])) {
+    throw new Error(`refusing to replace ${OUT}; choose an output folder that holds no sources`);
+  }
+
+  // Render everything first so a broken template leaves the last build intact
+  const pages = collectPages(site, layouts, partials).map(page => ({ ...page, html: renderPage(page, site, layouts, partials) }));
+
+  // Start clean so files removed from src don't linger in the output
+  fs.rmSync(OUT, { recursive: true, force: true });
+  fs.mkdirSync(OUT, { recursive: true });
+
+  STATIC.forEach(entry => {
+    const from = path.join(ROOT, entry);
+    if (fs.existsSync(from)) copy(from, path.join(OUT, entry));
+  });
+
+  pages.forEach(page => {
+    const target = path.join(OUT, page.output);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, page.html);
+  });
+
+  const indexed = pages.filter(page => !page.data.noindex);
+  fs.writeFileSync(path.join(OUT, 'sitemap.xml'), seo.sitemap(indexed, site));
+  fs.writeFileSync(path.join(OUT, 'robots.txt'), seo.robots(site));
+
+  const domain = seo.cname(site);
+  if (domain) fs.writeFileSync(path.join(OUT, 'CNAME'), domain);
+
+  const home = pages.find(page => page.output === 'index.html');
+  fs.writeFileSync(path.join(OUT, 'manifest.webmanifest'), offline.webManifest(site, home.data.description));
+
+  // Written last: its version is a hash of everything else
+  const files = listTree(OUT);
+  const pageFiles = pages.map(page => page.output);
+  const precache = offline.precacheList(pageFiles, files.filter(file => !pageFiles.includes(file)));
+  fs.writeFileSync(path.join(OUT, 'sw.js'), render(read(path.join(SRC, 'sw.js')), {
+    version: offline.buildVersion(OUT, files),
+    precache: JSON.stringify(precache, null, 2)
+  }, {}));
+
+  console.log(`Built ${pages.length} pages into ${path.relative(ROOT, OUT) || '.'}/`);
+};
+
+try {
+  build();
+} catch (error) {
+  console.error(`Build failed: ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/**
+ * SITE INTEGRITY CHECKER
+ *
+ * Crawls the built HTML (dist/ by default) and reports:
+ *
+ *   links    - internal links to pages or files that don't exist
+ *   assets   - missing images, scripts, stylesheets, preloads and CSS url()s
+ *   anchors  - #fragments pointing at ids that don't exist on the target page
+ *   ids      - ids repeated within a page, and content ids (inside <main>)
+ *              reused on another page, so a #fragment names one place
+ *   sitemap  - pages missing from sitemap.xml and entries with no page
+ *   hosts    - canonical, og:url, og:image, twitter:image, sitemap and
+ *              robots.txt URLs that aren't on the site's base URL
+ *
+ * The base URL comes from --base-url, the CNAME file or src/site.json's
+ * url. Hashes that are app routes rather than ids (e.g. #project=slug) are not checked.
+ * Exits with status 1 when anything is found. No dependencies.
+ *
+ * Usage:
+ *   node scripts/build.js && node scripts/check-site.js [dir] [--base-url https://example.com]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanElements } = require('./lib/html');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_CONFIG = path.join(ROOT, 'src', 'site.json');
+
+// Report order
+const CHECKS = ['links', 'assets', 'anchors', 'ids', 'sitemap', 'hosts'];
+
+// Placeholder origin for resolving relative URLs
+const LOCAL = 'https://local.invalid/';
+
+// <link rel> values whose href is a file the page loads
+const ASSET_RELS = ['stylesheet', 'preload', 'modulepreload', 'icon', 'apple-touch-icon', 'manifest'];
+
+// Meta tags that should hold absolute URLs on the site's own host
+const URL_METAS = ['og:url', 'og:image', 'twitter:image'];
+
+const parseArgs = (argv) => {
+  const options = { dir: 'dist', baseURL: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--base-url') {
+      options.baseURL = argv[++i];
+    } else if (argv[i].startsWith('--base-url=')) {
+      options.baseURL = argv[i].slice('--base-url='.length);
+    } else {
+      options.dir = argv[i];
+    }
+  }
+
+  return options;
+};
+
+const listFiles = (dir, extension, prefix = '') => {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) return listFiles(dir, extension, relative);
+      return entry.name.endsWith(extension) ? [relative] : [];
+    });
+};
+
+class SiteChecker {
+  constructor(dir, baseURL) {
+    this.dir = dir;
+    this.base = new URL(baseURL.replace(/\/?$/, '/'));
+    this.problems = [];
+    this.pages = new Map();
+  }
+
+  report(check, file, line, message) {
+    this.problems.push({ check, file, line, message });
+  }
+
+  /**
+   * Site-relative path for a URL, or null for anything off the site
+   * @param {string} ref - href/src as written
+   * @param {string} from - Path of the file it appears in
+   * @returns {{path: string, hash: string}|null}
+   */
+  resolve(ref, from) {
+    if (/^(mailto|tel|javascript|data):/i.test(ref)) return null;
+
+    const url = new URL(ref, LOCAL + from);
+    let pathname;
+
+    if (url.origin === new URL(LOCAL).origin) {
+      pathname = url.pathname.slice(1);
+    } else if (url.origin === this.base.origin && url.pathname.startsWith(this.base.pathname)) {
+      pathname = url.pathname.slice(this.base.pathname.length);
+    } else {
+      return null;
+    }
+
+    pathname = decodeURIComponent(pathname);
+    if (pathname === '' || pathname.endsWith('/')) pathname += 'index.html';
+
+    return { path: pathname, hash: decodeURIComponent(url.hash.slice(1)) };
+  }
+
+  exists(relative) {
+    const file = path.join(this.dir, relative);
+    return fs.existsSync(file) && fs.statSync(file).isFile();
+  }
+
+  // Absolute URL a page should be known by (the directory for index pages)
+  pageURL(page) {
+    return new URL(page.replace(/(^|\/)index\.html$/, '$1'), this.base).href;
+  }
+
+  isOnSite(url) {
+    return url.startsWith(this.base.href) || `${url}/` === this.base.href;
+  }
+
+  load() {
+    listFiles(this.dir, '.html').forEach(page => {
+      const elements = scanElements(fs.readFileSync(path.join(this.dir, page), 'utf8'));
+      const ids = new Map();
+
+      elements.forEach(el => {
+        if (!el.attrs.id) return;
+        if (ids.has(el.attrs.id)) {
+          this.report('ids', page, el.line, `id "${el.attrs.id}" is already used on line ${ids.get(el.attrs.id).line}`);
+        } else {
+          ids.set(el.attrs.id, el);
+        }
+      });
+
+      this.pages.set(page, { elements, ids });
+    });
+  }
+
+  checkPages() {
+    this.pages.forEach(({ elements }, page) => {
+      elements.forEach(el => {
+        const { tag, attrs, line } = el;
+
+        if ((tag === 'a' || tag === 'area') && attrs.href !== undefined) {
+          this.checkLink(attrs.href, page, line);
+        }
+
+        if (tag === 'link' && attrs.href !== undefined) {
+          const rels = (attrs.rel || '').toLowerCase().split(/\s+/);
+          if (rels.some(rel => ASSET_RELS.includes(rel))) this.checkAsset(attrs.href, page, line);
+        }
+
+        ['src', 'poster'].forEach(name => {
+          if (attrs[name] !== undefined && tag !== 'iframe') this.checkAsset(attrs[name], page, line);
+        });
+
+        if (attrs.srcset) {
+          attrs.srcset.split(',').forEach(candidate => {
+            const url = candidate.trim().split(/\s+/)[0];
+            if (url) this.checkAsset(url, page, line);
+          });
+        }
+
+        if (tag === 'meta' && URL_METAS.includes(attrs.property || attrs.name) && attrs.content) {
+          const name = attrs.property || attrs.name;
+          if (!this.isOnSite(attrs.content)) {
+            this.report('hosts', page, line, `${name} ${attrs.content} is not on ${this.base.href}`);
+          } else if (name !== 'og:url') {
+            this.checkAsset(attrs.content, page, line);
+          }
+        }
+      });
+
+      this.checkCanonical(page, elements);
+    });
+  }
+
+  checkLink(href, page, line) {
+    const target = this.resolve(href, page);
+    if (!target) return;
+
+    if (!this.exists(target.path)) {
+      this.report('links', page, line, `${href} points to ${target.path}, which doesn't exist`);
+      return;
+    }
+
+    // Only ids are checked; "#", "#top" and app routes like "#project=x" are skipped
+    const { hash } = target;
+    if (!hash || hash === 'top' || hash.includes('=')) return;
+
+    const targetPage = this.pages.get(target.path);
+    if (targetPage && !targetPage.ids.has(hash)) {
+      this.report('anchors', page, line, `${href}: no element with id "${hash}" on ${target.path}`);
+    }
+  }
+
+  checkAsset(ref, file, line) {
+    const target = this.resolve(ref, file);
+    if (target && !this.exists(target.path)) {
+      this.report('assets', file, line, `${ref} is missing (${target.path})`);
+    }
+  }
+
+  checkCanonical(page, elements) {
+    const canonicals = elements.filter(el => el.tag === 'link' && /\bcanonical\b/i.test(el.attrs.rel || ''));
+    const expected = this.pageURL(page);
+
+    if (!canonicals.length) {
+      this.report('hosts', page, 1, `no <link rel="canonical"> (expected ${expected})`);
+      return;
+    }
+
+    canonicals.forEach(el => {
+      const href = el.attrs.href || '';
+      if (!this.isOnSite(href)) {
+        this.report('hosts', page, el.line, `canonical ${href} is not on ${this.base.href}`);
+      } else if (href.replace(/\/$/, '') !== expected.replace(/\/$/, '')) {
+        this.report('hosts', page, el.line, `canonical ${href} should be ${expected}`);
+      }
+    });
+  }
+
+  // Content ids should be unique across pages, not just within one
+  checkSharedIds() {
+    const owners = new Map();
+
+    this.pages.forEach(({ ids }, page) => {
+      ids.forEach((el, id) => {
+        if (!el.inMain) return;
+        if (!owners.has(id)) owners.set(id, []);
+        owners.get(id).push({ page, line: el.line });
+      });
+    });
+
+    owners.forEach((uses, id) => {
+      if (uses.length < 2) return;
+      uses.slice(1).forEach(({ page, line }) => {
+        this.report('ids', page, line, `id "${id}" is also used on ${uses[0].page}`);
+      });
+    });
+  }
+
+  checkCSS() {
+    listFiles(this.dir, '.css').forEach(file => {
+      fs.readFileSync(path.join(this.dir, file), 'utf8').split('\n').forEach((text, i) => {
+        const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+        for (let match; (match = pattern.exec(text)); ) {
+          if (!match[2].startsWith('#')) this.checkAsset(match[2], file, i + 1);
+        }
+      });
+    });
+  }
+
+  checkSitemap() {
+    const file = 'sitemap.xml';
+    if (!this.exists(file)) {
+      this.report('sitemap', file, 1, 'sitemap.xml is missing');
+      return;
+    }
+
+    const listed = new Set();
+    fs.readFileSync(path.join(this.dir, file), 'utf8').split('\n').forEach((text, i) => {
+      const loc = text.match(/<loc>\s*([^<]+?)\s*<\/loc>/);
+      if (!loc) return;
+
+      const url = loc[1];
+      if (!this.isOnSite(url)) {
+        this.report('hosts', file, i + 1, `${url} is not on ${this.base.href}`);
+        return;
+      }
+
+      const target = this.resolve(url, file);
+      listed.add(target.path);
+      if (!this.pages.has(target.path)) {
+        this.report('sitemap', file, i + 1, `${url} has no page (${target.path})`);
+      }
+    });
+
+    this.pages.forEach(({ elements }, page) => {
+      const noindex = elements.some(el => el.tag === 'meta' && el.attrs.name === 'robots' && /noindex/i.test(el.attrs.content || ''));
+      if (!noindex && !listed.has(page)) {
+        this.report('sitemap', file, 1, `${this.pageURL(page)} is not listed`);
+      }
+    });
+  }
+
+  checkRobots() {
+    const file = 'robots.txt';
+    if (!this.exists(file)) return;
+
+    fs.readFileSync(path.join(this.dir, file), 'utf8').split('\n').forEach((text, i) => {
+      const sitemap = text.match(/^\s*sitemap:\s*(\S+)/i);
+      if (!sitemap) return;
+
+      if (!this.isOnSite(sitemap[1])) {
+        this.report('hosts', file, i + 1, `Sitemap ${sitemap[1]} is not on ${this.base.href}`);
+      } else {
+        this.checkAsset(sitemap[1], file, i + 1);
+      }
+    });
+  }
+
+  run() {
+    this.load();
+    this.checkPages();
+    this.checkSharedIds();
+    this.checkCSS();
+    this.checkSitemap();
+    this.checkRobots();
+    return this.problems;
+  }
+}
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  const dir = path.resolve(ROOT, options.dir);
+
+  if (!fs.existsSync(dir)) {
+    throw new Error(`${dir} doesn't exist; run node scripts/build.js first`);
+  }
+
+  let baseURL = options.baseURL;
+  if (!baseURL && fs.existsSync(path.join(dir, 'CNAME'))) {
+    baseURL = `https://${fs.readFileSync(path.join(dir, 'CNAME'), 'utf8').trim()}`;
+  }
+  if (!baseURL && fs.existsSync(SITE_CONFIG)) {
+    baseURL = JSON.parse(fs.readFileSync(SITE_CONFIG, 'utf8')).url;
+  }
+  if (!baseURL) {
+    throw new Error('no CNAME file or src/site.json url to take the site URL from; pass --base-url');
+  }
+
+  const checker = new SiteChecker(dir, baseURL);
+  const problems = checker.run();
+
+  CHECKS.filter(check => problems.some(problem => problem.check === check)).forEach(check => {
+    console.log(`\n${check}`);
+    problems
+      .filter(problem => problem.check === check)
+      .forEach(({ file, line, message }) => console.log(`  ${file}:${line}  ${message}`));
+  });
+
+  const pages = checker.pages.size;
+  if (problems.length) {
+    console.log(`\n${problems.length} problem${problems.length === 1 ? '' : 's'} in ${pages} pages (base URL ${checker.base.href})`);
+    process.exitCode = 1;
+  } else {
+    console.log(`No problems in ${pages} pages (base URL ${checker.base.href})`);
+  }
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`Check failed: ${error.message}`);
+  process.exitCode = 2;
+}
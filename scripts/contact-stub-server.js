@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * LOCAL CONTACT FORM STUB SERVER
+ *
+ * Accepts the JSON POSTs made by the contact form's fetch transport so the
+ * pending, success, error, retry and timeout states can be exercised
+ * without a real backend. No dependencies.
+ *
+ * Usage:
+ *   node scripts/contact-stub-server.js [mode] [port]
+ *
+ * Modes:
+ *   ok     - 200 for every request (default)
+ *   fail   - 500 for every request
+ *   reject - 422 for every request (not retried by the client)
+ *   flaky  - 503 for the first two requests, then 200
+ *   slow   - waits 15s before answering (trips the client timeout)
+ *
+ * Then point the form at it:
+ *   <form ... data-transport="fetch" data-endpoint="http://localhost:8787/contact">
+ */
+
+const http = require('http');
+
+const mode = process.argv[2] || 'ok';
+const port = Number(process.argv[3]) || 8787;
+let requestCount = 0;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept'
+  });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    requestCount++;
+
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch (error) {
+      return send(res, 400, { error: 'Body must be JSON' });
+    }
+
+    console.log(`[${mode}] #${requestCount}`, payload);
+
+    switch (mode) {
+      case 'fail':
+        return send(res, 500, { error: 'Stub failure' });
+      case 'reject':
+        return send(res, 422, { error: 'Stub rejection' });
+      case 'flaky':
+        return requestCount <= 2
+          ? send(res, 503, { error: 'Stub temporarily unavailable' })
+          : send(res, 200, { ok: true });
+      case 'slow':
+        return setTimeout(() => send(res, 200, { ok: true }), 15000);
+      default:
+        return send(res, 200, { ok: true });
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Contact stub listening on http://localhost:${port}/contact (mode: ${mode})`);
+});
@@ -0,0 +1,70 @@
+/**
+ * FRONT MATTER
+ *
+ * Splits a source file into its front matter and body. The front matter
+ * is the small YAML subset the content uses:
+ *
+ *   ---
+ *   title: Multimodal RAG System
+ *   subtitle: "Quoted: when the value has a colon"
+ *   tags: [rag, vision]
+ *   stack:
+ *     - Python
+ *     - FastAPI
+ *   ---
+ */
+
+const unquote = (value) => {
+  const quoted = value.match(/^"(.*)"$/) || value.match(/^'(.*)'$/);
+  return quoted ? quoted[1] : value;
+};
+
+const parseValue = (value) => {
+  if (/^\[.*\]$/.test(value)) {
+    return value.slice(1, -1).split(',').map(item => unquote(item.trim())).filter(Boolean);
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value === 'null' || value === '~') return null;
+  return unquote(value);
+};
+
+/**
+ * @param {string} source - File contents
+ * @param {string} file - Path, for error messages
+ * @returns {{data: Object, body: string}}
+ */
+const parseFrontMatter = (source, file) => {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  let listKey = null;
+
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseValue(item[1].trim()));
+      return;
+    }
+
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`${file}: can't read front matter line ${i + 2}: "${line}"`);
+    }
+
+    const [, key, value] = pair;
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseValue(value.trim());
+      listKey = null;
+    }
+  });
+
+  return { data, body: source.slice(match[0].length) };
+};
+
+module.exports = { parseFrontMatter };
@@ -0,0 +1,76 @@
+/**
+ * HTML SCANNER
+ *
+ * Lists the start tags of a page with their attributes and line numbers.
+ * Enough for checking links, ids and assets in markup we generate
+ * ourselves; it is not a full HTML parser (no tree, no error recovery).
+ * Comments and the contents of <script> and <style> are skipped.
+ */
+
+const TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const RAW_TEXT = ['script', 'style'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (value) => value.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const number = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+    return String.fromCodePoint(number);
+  }
+  return ENTITIES[code.toLowerCase()] || entity;
+});
+
+const parseAttributes = (source) => {
+  const attrs = {};
+  ATTRIBUTE.lastIndex = 0;
+  for (let match; (match = ATTRIBUTE.exec(source)); ) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attrs;
+};
+
+/**
+ * @param {string} source - HTML
+ * @returns {Array<{tag: string, attrs: Object<string, string>, line: number, inMain: boolean}>}
+ */
+const scanElements = (source) => {
+  const elements = [];
+  let line = 1;
+  let lastIndex = 0;
+  let mainDepth = 0;
+
+  const lineAt = (index) => {
+    for (let i = lastIndex; i < index; i++) {
+      if (source.charCodeAt(i) === 10) line++;
+    }
+    lastIndex = index;
+    return line;
+  };
+
+  TOKEN.lastIndex = 0;
+  for (let match; (match = TOKEN.exec(source)); ) {
+    const [token, closing, name] = match;
+    if (token.startsWith('<!--')) continue;
+
+    const tag = name.toLowerCase();
+    if (closing) {
+      if (tag === 'main') mainDepth = Math.max(mainDepth - 1, 0);
+      continue;
+    }
+
+    elements.push({ tag, attrs: parseAttributes(match[3]), line: lineAt(match.index), inMain: mainDepth > 0 });
+    if (tag === 'main') mainDepth++;
+
+    // Jump over raw text so "<" in scripts and styles isn't read as a tag
+    if (RAW_TEXT.includes(tag)) {
+      const end = source.toLowerCase().indexOf(`</${tag}`, TOKEN.lastIndex);
+      TOKEN.lastIndex = end === -1 ? source.length : end;
+    }
+  }
+
+  return elements;
+};
+
+module.exports = { scanElements, decodeEntities };
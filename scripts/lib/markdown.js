@@ -0,0 +1,237 @@
+/**
+ * MARKDOWN
+ *
+ * Renders the Markdown used by the project case studies into the same
+ * markup (and CSS classes) as the hand-written pages. Supported:
+ *
+ * - ## / ### headings, paragraphs, "-" and "1." lists, ``` code blocks
+ * - **bold**, *italic*, `code` and [links](url)
+ * - Lines starting with an HTML block tag pass through untouched
+ * - Containers for the styled blocks:
+ *
+ *     ::: features        ### Title + text per card -> .feature-grid
+ *     ::: tech-stack      list items -> .tech-badge
+ *     ::: results         list -> ul.results-list
+ *     :::
+ */
+
+const { escapeHTML, indentLines } = require('./template');
+
+const INDENT = '    ';
+
+// Indent a block of HTML one level (every line, unlike indentLines)
+const indent = (html) => INDENT + indentLines(html, INDENT);
+
+// Escape text but keep entities the author typed (&ndash;, &#8594; ...)
+const escapeText = (text) => text
+  .replace(/&(?!#?\w+;)/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * @param {string} text - One line or paragraph of Markdown
+ * @returns {string} HTML
+ */
+const renderInline = (text) => {
+  // Code spans first, so nothing inside them is treated as Markdown
+  return text.split(/(`[^`]*`)/).map(part => {
+    if (/^`[^`]*`$/.test(part)) {
+      return `<code>${escapeHTML(part.slice(1, -1))}</code>`;
+    }
+
+    return escapeText(part)
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => `<a href="${href.replace(/"/g, '&quot;')}">${label}</a>`)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(?!\s)(.+?)\*/g, '<em>$1</em>');
+  }).join('');
+};
+
+const LIST_ITEM = /^(\s*)([-*]|\d+\.)\s+(.*)$/;
+const HTML_BLOCK = /^<\/?(div|section|figure|table|ul|ol|p|blockquote|aside|details|h[1-6])[\s>]/;
+
+/**
+ * Split Markdown into blocks
+ * @param {string[]} lines
+ * @param {string} file - Path, for error messages
+ * @returns {Array<Object>}
+ */
+const parseBlocks = (lines, file) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // ``` fenced code
+    if (line.startsWith('```')) {
+      const body = [];
+      for (i++; i < lines.length && !lines[i].startsWith('```'); i++) body.push(lines[i]);
+      if (i === lines.length) throw new Error(`${file}: unclosed code block`);
+      blocks.push({ type: 'code', text: body.join('\n') });
+      i++;
+      continue;
+    }
+
+    // ::: container
+    const container = line.match(/^:::\s*([\w-]+)\s*$/);
+    if (container) {
+      const body = [];
+      for (i++; i < lines.length && lines[i].trim() !== ':::'; i++) body.push(lines[i]);
+      if (i === lines.length) throw new Error(`${file}: unclosed "::: ${container[1]}"`);
+      blocks.push({ type: 'container', name: container[1], lines: body });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (HTML_BLOCK.test(line)) {
+      const body = [];
+      for (; i < lines.length && lines[i].trim(); i++) body.push(lines[i]);
+      blocks.push({ type: 'html', text: body.join('\n') });
+      continue;
+    }
+
+    const first = line.match(LIST_ITEM);
+    if (first) {
+      const ordered = /\d/.test(first[2]);
+      const items = [];
+
+      // Items continue on indented lines; a blank line ends the list
+      for (; i < lines.length && lines[i].trim(); i++) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item && !item[1]) {
+          items.push(item[3]);
+        } else {
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        }
+      }
+
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const paragraph = [];
+    for (; i < lines.length && lines[i].trim() && !LIST_ITEM.test(lines[i]) && !/^(#|```|:::)/.test(lines[i]); i++) {
+      paragraph.push(lines[i].trim());
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+  }
+
+  return blocks;
+};
+
+const renderList = (items, attributes = '', tag = 'ul') => [
+  `<${tag}${attributes}>`,
+  ...items.map(item => indent(`<li>${renderInline(item)}</li>`)),
+  `</${tag}>`
+].join('\n');
+
+const listItems = (blocks, name, file) => {
+  if (blocks.length !== 1 || blocks[0].type !== 'list') {
+    throw new Error(`${file}: "::: ${name}" should contain a single list`);
+  }
+  return blocks[0].items;
+};
+
+const CONTAINERS = {
+  features(blocks, file) {
+    const cards = [];
+
+    blocks.forEach(block => {
+      if (block.type === 'heading' && block.level === 3) {
+        cards.push({ title: block.text, blocks: [] });
+      } else if (cards.length) {
+        cards[cards.length - 1].blocks.push(block);
+      } else {
+        throw new Error(`${file}: each feature in "::: features" starts with a ### heading`);
+      }
+    });
+
+    return [
+      '<div class="feature-grid">',
+      ...cards.map(card => indent([
+        '<div class="feature-card">',
+        indent(`<h3>${renderInline(card.title)}</h3>\n${renderBlocks(card.blocks, file)}`),
+        '</div>'
+      ].join('\n'))),
+      '</div>'
+    ].join('\n');
+  },
+
+  'tech-stack'(blocks, file) {
+    const badges = listItems(blocks, 'tech-stack', file)
+      .map(item => `<span class="tech-badge">${renderInline(item)}</span>`);
+
+    return [
+      '<div class="tech-stack">',
+      indent(['<div class="tech-stack__list">', indent(badges.join('\n')), '</div>'].join('\n')),
+      '</div>'
+    ].join('\n');
+  },
+
+  results(blocks, file) {
+    return renderList(listItems(blocks, 'results', file), ' class="results-list"');
+  }
+};
+
+/**
+ * @param {Array<Object>} blocks
+ * @param {string} file - Path, for error messages
+ * @returns {string} HTML
+ */
+const renderBlocks = (blocks, file) => {
+  const html = [];
+
+  blocks.forEach((block, index) => {
+    // A blank line before each top-level heading keeps the output scannable
+    if (block.type === 'heading' && block.level === 2 && index > 0) html.push('');
+
+    switch (block.type) {
+      case 'heading':
+        html.push(`<h${block.level}>${renderInline(block.text)}</h${block.level}>`);
+        break;
+      case 'paragraph':
+        html.push(`<p>${renderInline(block.text)}</p>`);
+        break;
+      case 'list':
+        html.push(block.ordered ? renderList(block.items, '', 'ol') : renderList(block.items));
+        break;
+      case 'code':
+        html.push(`<pre><code>${escapeHTML(block.text)}</code></pre>`);
+        break;
+      case 'html':
+        html.push(block.text);
+        break;
+      case 'container': {
+        const renderContainer = CONTAINERS[block.name];
+        if (!renderContainer) throw new Error(`${file}: unknown container "::: ${block.name}"`);
+        html.push(renderContainer(parseBlocks(block.lines, file), file));
+        break;
+      }
+    }
+  });
+
+  return html.join('\n');
+};
+
+/**
+ * @param {string} source - Markdown
+ * @param {string} file - Path, for error messages
+ * @returns {string} HTML
+ */
+const renderMarkdown = (source, file = 'markdown') => {
+  return renderBlocks(parseBlocks(source.replace(/\r\n/g, '\n').split('\n'), file), file);
+};
+
+module.exports = { renderMarkdown, renderInline };
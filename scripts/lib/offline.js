@@ -0,0 +1,67 @@
+/**
+ * OFFLINE
+ *
+ * The web app manifest and the service worker's precache list and
+ * version, generated from the build output (see src/sw.js).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Copied folders whose files are precached (images are cached on first view)
+const PRECACHED_FOLDERS = ['css', 'js', 'data'];
+
+/**
+ * @param {Object} site - src/site.json
+ * @param {string} description - What the app is, for install prompts
+ * @returns {string} manifest.webmanifest
+ */
+const webManifest = (site, description) => {
+  const icon = site.app.icon;
+
+  return `${JSON.stringify({
+    name: site.name,
+    short_name: site.app.shortName,
+    description,
+    lang: site.lang,
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    theme_color: site.app.themeColor,
+    background_color: site.app.backgroundColor,
+    icons: [{ src: icon, sizes: 'any', type: icon.endsWith('.svg') ? 'image/svg+xml' : 'image/png', purpose: 'any' }]
+  }, null, 2)}\n`;
+};
+
+/**
+ * Files the service worker stores on install: every page (and "./" for the
+ * homepage, which is how it's usually requested) plus the app shell
+ * @param {string[]} pages - Page paths relative to the output folder
+ * @param {string[]} files - Every other file in the output folder
+ * @returns {string[]}
+ */
+const precacheList = (pages, files) => [
+  './',
+  ...pages,
+  ...files.filter(file => PRECACHED_FOLDERS.includes(file.split('/')[0])),
+  'manifest.webmanifest'
+];
+
+/**
+ * Short hash of the output folder's contents, so the worker (and its cache
+ * name) changes exactly when something was deployed
+ * @param {string} dir - Output folder
+ * @param {string[]} files - Paths relative to dir, sorted
+ * @returns {string}
+ */
+const buildVersion = (dir, files) => {
+  const hash = crypto.createHash('sha256');
+  files.forEach(file => {
+    hash.update(`${file}\0`);
+    hash.update(fs.readFileSync(path.join(dir, file)));
+  });
+  return hash.digest('hex').slice(0, 12);
+};
+
+module.exports = { webManifest, precacheList, buildVersion };
@@ -0,0 +1,149 @@
+/**
+ * SEO
+ *
+ * Everything search engines and link previews read, generated from
+ * src/site.json so the host is configured in exactly one place:
+ * JSON-LD per page, sitemap.xml, robots.txt and CNAME.
+ */
+
+const { execFileSync } = require('child_process');
+const { escapeHTML } = require('./template');
+
+/**
+ * Date (YYYY-MM-DD) of the last commit touching any of the files. Commit
+ * dates keep rebuilds byte-stable; null outside git or for new files.
+ * @param {string} cwd - Repository root
+ * @param {string[]} files - Paths relative to cwd
+ * @returns {string|null}
+ */
+const lastModified = (cwd, files) => {
+  try {
+    const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', ...files], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    return date || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Absolute URL of a page on the site (index pages by their directory)
+ * @param {Object} site - src/site.json
+ * @param {string} output - Page path relative to the output folder
+ * @returns {string}
+ */
+const pageURL = (site, output) => `${site.url}/${output.replace(/(^|\/)index\.html$/, '$1')}`;
+
+const person = (site) => ({
+  '@type': 'Person',
+  '@id': `${site.url}/#person`,
+  name: site.name,
+  url: `${site.url}/`,
+  jobTitle: site.person.jobTitle,
+  sameAs: site.person.sameAs,
+  worksFor: { '@type': 'Organization', name: site.person.worksFor },
+  alumniOf: { '@type': 'EducationalOrganization', name: site.person.alumniOf }
+});
+
+const breadcrumbs = (trail) => ({
+  '@type': 'BreadcrumbList',
+  itemListElement: trail.map(([name, item], index) => ({
+    '@type': 'ListItem',
+    position: index + 1,
+    name,
+    item
+  }))
+});
+
+/**
+ * JSON-LD for a page, as the text of a <script type="application/ld+json">
+ * @param {Object} page - Page values (title, description, schema, project, ...)
+ * @param {Object} site - src/site.json
+ * @returns {string}
+ */
+const structuredData = (page, site) => {
+  const url = pageURL(site, page.output);
+  const home = ['Home', `${site.url}/`];
+  let graph;
+
+  if (page.output === 'index.html') {
+    graph = [
+      { '@type': 'WebSite', '@id': `${site.url}/#website`, name: site.name, url, inLanguage: site.lang, publisher: { '@id': `${site.url}/#person` } },
+      person(site)
+    ];
+  } else if (page.project) {
+    const { project } = page;
+    const work = {
+      '@type': 'SoftwareSourceCode',
+      name: page.title,
+      headline: page.subtitle,
+      description: page.description,
+      url,
+      author: { '@id': `${site.url}/#person` },
+      keywords: (project.stack || []).join(', ')
+    };
+
+    if (page.image) work.image = `${site.url}/${page.image}`;
+    // "employer" is either a company or a label like "Capstone Project"
+    if (/\bproject$/i.test(project.employer || '')) {
+      work.genre = project.employer;
+    } else if (project.employer) {
+      work.sourceOrganization = { '@type': 'Organization', name: project.employer };
+    }
+    if (project.dates) {
+      work.dateCreated = project.dates.start;
+      work.temporalCoverage = `${project.dates.start}/${project.dates.end || '..'}`;
+    }
+    if (page.lastmod) work.dateModified = page.lastmod;
+
+    graph = [
+      work,
+      person(site),
+      breadcrumbs([home, ['Projects', `${site.url}/#projects`], [page.title, url]])
+    ];
+  } else {
+    graph = [
+      { '@type': page.schema || 'WebPage', name: page.title, description: page.description, url, mainEntity: { '@id': `${site.url}/#person` } },
+      person(site),
+      breadcrumbs([home, [page.breadcrumb || page.title, url]])
+    ];
+  }
+
+  // "</" would end the <script> early
+  return JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2).replace(/<\//g, '<\\/');
+};
+
+/**
+ * @param {Array<{output: string, lastmod: string|null}>} pages - Indexable pages
+ * @param {Object} site - src/site.json
+ * @returns {string}
+ */
+const sitemap = (pages, site) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...pages.map(page => [
+    '  <url>',
+    `    <loc>${escapeHTML(pageURL(site, page.output))}</loc>`,
+    ...(page.lastmod ? [`    <lastmod>${page.lastmod}</lastmod>`] : []),
+    '  </url>'
+  ].join('\n')),
+  '</urlset>',
+  ''
+].join('\n');
+
+const robots = (site) => `User-agent: *\nAllow: /\n\nSitemap: ${site.url}/sitemap.xml\n`;
+
+/**
+ * GitHub Pages custom domain file; null when the site lives on github.io
+ * @param {Object} site - src/site.json
+ * @returns {string|null}
+ */
+const cname = (site) => {
+  const { hostname } = new URL(site.url);
+  return hostname.endsWith('.github.io') ? null : `${hostname}\n`;
+};
+
+module.exports = { lastModified, pageURL, structuredData, sitemap, robots, cname };
@@ -0,0 +1,152 @@
+/**
+ * TEMPLATES
+ *
+ * A small Mustache-style renderer for the page layouts and partials:
+ *
+ *   {{ name }}        HTML-escaped value (dotted paths like site.url work)
+ *   {{{ name }}}      Raw value
+ *   {{> partial }}    Another template from the partials map
+ *   {{#name}}..{{/name}}  Rendered when the value is truthy
+ *   {{^name}}..{{/name}}  Rendered when the value is falsy
+ *
+ * A tag alone on its line is "standalone": section tags take their line
+ * with them, and partials and raw values are indented to the tag's column
+ * (except inside <pre>), so templates can stay readable at any depth.
+ *
+ * Unknown variables and partials throw instead of rendering as empty.
+ */
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>]?)\s*([\w.-]+)\s*\}\}/g;
+
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Indent every line but the first (the tag's own indentation covers it),
+ * leaving <pre> contents alone
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string}
+ */
+const indentLines = (text, indent) => {
+  let inPre = false;
+
+  return text.split('\n').map((line, i) => {
+    const indented = i === 0 || inPre || line === '' ? line : indent + line;
+    if (/<pre[\s>]/.test(line)) inPre = true;
+    if (line.includes('</pre>')) inPre = false;
+    return indented;
+  }).join('\n');
+};
+
+const lookup = (context, path, required) => {
+  if (path === '.') return context;
+
+  const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+  if (value === undefined && required) {
+    throw new Error(`Unknown template variable "${path}"`);
+  }
+  return value;
+};
+
+/**
+ * Split a template into text, tags and nested sections
+ * @param {string} template
+ * @returns {Array<Object>}
+ */
+const parse = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  TAG.lastIndex = 0;
+  for (let match; (match = TAG.exec(template)); ) {
+    const [tag, raw, sigil, name] = match;
+    let start = match.index;
+    let end = start + tag.length;
+
+    // Standalone tag: only whitespace around it on its line
+    const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = template.indexOf('\n', end);
+    const before = template.slice(lineStart, start);
+    const after = template.slice(end, lineEnd === -1 ? template.length : lineEnd);
+    const standalone = /^[ \t]*$/.test(before) && /^[ \t]*$/.test(after);
+    let indent = '';
+
+    if (standalone && sigil && '#^/'.includes(sigil)) {
+      // Drop the whole line, newline included
+      start = lineStart;
+      end = lineEnd === -1 ? template.length : lineEnd + 1;
+    } else if (standalone && (raw || sigil === '>')) {
+      indent = before;
+    }
+
+    const parent = stack[stack.length - 1];
+    parent.children.push({ type: 'text', value: template.slice(last, start) });
+    last = end;
+
+    if (raw) {
+      parent.children.push({ type: 'raw', name: raw, indent });
+    } else if (sigil === '>') {
+      parent.children.push({ type: 'partial', name, indent });
+    } else if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      const open = stack.pop();
+      if (open === root || open.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}`);
+      }
+    } else {
+      parent.children.push({ type: 'escaped', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}}`);
+  }
+
+  root.children.push({ type: 'text', value: template.slice(last) });
+  return root.children;
+};
+
+/**
+ * Render a template
+ * @param {string} template - Template source
+ * @param {Object} context - Values for the tags
+ * @param {Object<string, string>} partials - Partial sources by name
+ * @returns {string}
+ */
+const render = (template, context, partials = {}) => {
+  const renderNodes = (nodes) => nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'escaped':
+        return escapeHTML(lookup(context, node.name, true));
+      case 'raw':
+        return indentLines(String(lookup(context, node.name, true)), node.indent);
+      case 'partial': {
+        if (!(node.name in partials)) throw new Error(`Unknown partial "${node.name}"`);
+        const output = render(partials[node.name].replace(/\n$/, ''), context, partials);
+        return indentLines(output, node.indent);
+      }
+      case 'section': {
+        const value = lookup(context, node.name, false);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return truthy !== node.inverted ? renderNodes(node.children) : '';
+      }
+      default:
+        return '';
+    }
+  }).join('');
+
+  return renderNodes(parse(template));
+};
+
+module.exports = { render, escapeHTML, indentLines };
@@ -0,0 +1,122 @@
+/**
+ * SERVICE WORKER
+ *
+ * Generated by scripts/build.js from src/sw.js; VERSION is a hash of the
+ * build output, so every deploy that changes anything installs a new
+ * worker. Strategies:
+ *
+ * - Pages, CSS, JS and data: precached on install, served cache-first
+ * - Images: stale-while-revalidate
+ * - Google Fonts: stylesheet stale-while-revalidate, font files cache-first
+ * - Other navigations: network, falling back to the offline page
+ *
+ * A new version waits until the page asks it to take over (the "updated —
+ * reload" toast in js/main.js), so open tabs never mix old and new files.
+ */
+
+const VERSION = '{{ version }}';
+
+// Relative to this file, i.e. the site root
+const PRECACHE = {{{ precache }}};
+const OFFLINE_PAGE = 'offline.html';
+
+const CACHE_PREFIX = 'portfolio-';
+const CACHES = {
+  shell: `${CACHE_PREFIX}shell-${VERSION}`,
+  images: `${CACHE_PREFIX}images-v1`,
+  fonts: `${CACHE_PREFIX}fonts-v1`
+};
+
+// Oldest images are evicted past this many
+const MAX_IMAGES = 60;
+
+const FONT_STYLESHEETS = 'https://fonts.googleapis.com';
+const FONT_FILES = 'https://fonts.gstatic.com';
+
+const scopeURL = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHES.shell)
+      .then(cache => cache.addAll(PRECACHE.map(scopeURL)))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHES);
+
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+const trimCache = (name, max) => {
+  return caches.open(name).then(cache => cache.keys().then(keys => {
+    return Promise.all(keys.slice(0, Math.max(keys.length - max, 0)).map(key => cache.delete(key)));
+  }));
+};
+
+const staleWhileRevalidate = (event, cacheName, onStore) => {
+  return caches.open(cacheName).then(cache => cache.match(event.request).then(cached => {
+    const network = fetch(event.request).then(response => {
+      if (response.ok || response.type === 'opaque') {
+        const stored = cache.put(event.request, response.clone()).then(onStore);
+        event.waitUntil(stored);
+      }
+      return response;
+    });
+
+    if (!cached) return network;
+
+    // Keep the refresh alive after answering from the cache
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }));
+};
+
+const cacheFirst = (request, cacheName) => {
+  return caches.open(cacheName).then(cache => cache.match(request).then(cached => {
+    return cached || fetch(request).then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    });
+  }));
+};
+
+const navigate = (request) => {
+  // Query strings are app state (?category=...), not different pages
+  return caches.match(request, { cacheName: CACHES.shell, ignoreSearch: true })
+    .then(cached => cached || fetch(request))
+    .catch(() => caches.match(scopeURL(OFFLINE_PAGE), { cacheName: CACHES.shell }));
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(navigate(request));
+  } else if (url.origin === FONT_STYLESHEETS) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.fonts));
+  } else if (url.origin === FONT_FILES) {
+    event.respondWith(cacheFirst(request, CACHES.fonts));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event, CACHES.images, () => trimCache(CACHES.images, MAX_IMAGES)));
+  } else {
+    event.respondWith(
+      caches.match(request, { cacheName: CACHES.shell }).then(cached => cached || fetch(request))
+    );
+  }
+});